@@ -3,16 +3,39 @@
 
 const DEFAULT_PREFS = {
   active: false,
-  noteColor: '#00BFFF',
+  leftHandColor: '#FF8C42',
+  rightHandColor: '#00BFFF',
+  detectorBackend: 'harmonic-sum',
+  quantizeGrid: 'off',
+  quantizeStrength: 100,
+  exportRange: 'whole',
+  exportSeconds: 30,
+  xmlSplitPoint: 'auto',
+  fileDisplay: 'file',
+  fileNoteColor: '#B388FF',
+  synthMode: 'off',
+  synthMix: 0.5,
+  videoContent: 'composite',
+  videoHeight: 720,
+  lookahead: false,
+  colorScheme: 'hand',
+  colorTheme: 'pianorain',
+  noteLabels: 'off',
+  octaveMarkers: false,
 };
 
 // Initialize default preferences on install
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.local.get(Object.keys(DEFAULT_PREFS), (stored) => {
+  chrome.storage.local.get([...Object.keys(DEFAULT_PREFS), 'noteColor'], (stored) => {
     const toSet = {};
     for (const [key, val] of Object.entries(DEFAULT_PREFS)) {
       if (stored[key] === undefined) toSet[key] = val;
     }
+    // The single note colour from before hands were separated becomes the
+    // right hand's colour
+    if (stored.rightHandColor === undefined && stored.noteColor) {
+      toSet.rightHandColor = stored.noteColor;
+    }
     if (Object.keys(toSet).length > 0) {
       chrome.storage.local.set(toSet);
     }
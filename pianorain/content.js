@@ -1,5 +1,7 @@
 // content.js — PianoRain main content script
 // Orchestrates: audio capture → note detection → overlay rendering
+// Detection runs on fixed-hop frames from the analysis AudioWorklet and queues
+// timestamped note events; the requestAnimationFrame loop only consumes them.
 // All lib/*.js files are loaded as content scripts before this file and share
 // the same content script global scope.
 
@@ -14,18 +16,68 @@
   let cleanupOverlayListeners = null;
   let cleanupVideoSync = null;
   let video = null;
-  let noteColor = '#00BFFF';
-  let playbackRate = 1;
-  let lastFrameTime = null;
+  let handColors = { left: '#FF8C42', right: '#00BFFF' };
+  let colorScheme = 'hand';   // see COLOR_SCHEMES in lib/color-schemes.js
+  let colorTheme = getColorTheme(DEFAULT_COLOR_THEME); // backdrop, glow and pedal strip
+  let labelMode = 'off';      // note labels on blocks and lit keys (see NOTE_LABEL_MODES)
+  let octaveMarkers = false;  // mark every C key with its octave
+  let mediaClock = null;      // media time of the frame on screen (see createMediaClock)
+  let lastPlayedTime = null;  // media time of the last frame rendered while playing
+  let reportedTuning = null; // last A4 reference (Hz, 0.1 precision) sent to the popup
+  let reportedNoise = null;  // last noise floor summary sent to the popup
+  let exportController = null; // AbortController of the running MIDI export
+  let exportMarks = { a: null, b: null }; // A–B export selection (media seconds)
+  let midiFileInfo = null;    // { name, noteCount, duration } of the loaded MIDI file or transcript
+  let fileDisplay = 'file';   // 'file' (file notes instead of detection) or 'compare' (both)
+  let fileNoteColor = '#B388FF'; // colour of file notes in the compare display
+  let reportedTake = null;    // last take summary sent to the popup
+  let lastTakeReport = 0;     // rAF timestamp of that report
+  let synth = null;           // plays the transcription (see lib/synth.js)
+  let mixControl = null;      // original/transcription crossfader in the overlay
+  let synthMode = 'off';      // 'off', 'mix' (crossfaded with the video) or 'replace'
+  let synthMix = 0.5;         // crossfader position in 'mix' mode (0 = original)
+  let videoRecording = null;  // running overlay recording (see lib/video-recorder.js)
+  let lookahead = false;      // file notes fall early so they reach the keys when heard
+  let synthQueue = [];        // events waiting for their media time before the synth plays them
+
+  // Note events produced by the analysis path, waiting for the render loop.
+  // A hidden tab gets no animation frames, so a queue this long is applied
+  // from the analysis path instead (never dropped: that would strand notes).
+  const MAX_QUEUED_NOTE_EVENTS = 2048;
+  let noteEventQueue = [];
+
+  // While recording, the take summary is sent to the popup at most this often (ms)
+  const TAKE_REPORT_INTERVAL = 500;
 
   // References to the audio nodes (set during activate)
   let analyser = null;
   let audioCtx = null;
 
+  // Spectral-flux onset detector for the live view (splits repeated notes),
+  // velocity estimator for new notes, and the tracker that turns raw
+  // detections into stable note events
+  const onsetDetector = createOnsetDetector();
+  const velocityEstimator = createVelocityEstimator();
+  const noteTracker = createNoteTracker();
+  // Adaptive noise floor behind the detectors' gate (kept across seeks: it
+  // describes the recording, not the position in it)
+  const noiseFloor = createNoiseFloorTracker();
+  // Chord and key labels shown in the strip above the keyboard
+  const harmony = createHarmonyAnalyzer();
+  // Splits the tracked notes between the left and right hand
+  const handAssigner = createHandAssigner();
+  // Infers sustain pedal regions for the pedal strip
+  const pedalDetector = createPedalDetector();
+  // Plays a loaded MIDI file as falling notes, following the video's time
+  const filePlayback = createFilePlayback();
+  // Record mode: collects the detected notes into a take (kept across
+  // deactivation, dropped on navigation to another video)
+  const takeRecorder = createTakeRecorder();
+
   // ── Initialise PianoRain ───────────────────────────────────────────────────
-  async function activate(color) {
+  async function activate(colors) {
     if (isActive) return { ok: true };
-    noteColor = color || noteColor;
+    handColors = Object.assign({}, handColors, colors);
 
     video = document.querySelector('video');
     if (!video) {
@@ -41,6 +93,8 @@
       if (audioCtx.state === 'suspended') {
         await audioCtx.resume();
       }
+      await startAnalysisWorklet(chrome.runtime.getURL('lib/analysis-worklet.js'), onAnalysisFrame);
+      synth = createSynth(audioCtx, getSynthOutput());
     } catch (e) {
       sendStatus('error', 'Audio capture failed: ' + e.message);
       return { error: 'Audio capture failed: ' + e.message };
@@ -53,6 +107,7 @@
       return { error: 'Could not find YouTube player element.' };
     }
     ctx = canvas.getContext('2d');
+    mixControl = createMixControl(canvas, onMixInput);
 
     // Resize listeners
     cleanupOverlayListeners = attachResizeListeners(canvas);
@@ -60,20 +115,46 @@
     // Video sync listeners
     cleanupVideoSync = attachVideoSync(video, {
       onPlay: () => { /* animation loop checks video.paused each frame */ },
-      onPause: () => { /* animation loop checks video.paused each frame */ },
-      onSeeked: () => { clearAllNotes(); },
-      onRateChange: (rate) => { playbackRate = rate; },
+      onPause: () => { if (synth) synth.allNotesOff(); },
+      onSeeked: () => { resetDetection(true); },
+      onRateChange: () => { mediaClock.reset(); },
     });
+    mediaClock = createMediaClock(video);
 
-    playbackRate = video.playbackRate;
     isActive = true;
-    lastFrameTime = null;
-    clearAllNotes();
+    lastPlayedTime = null;
+    resetDetection();
+    velocityEstimator.reset();
+    resetTuningEstimate();
+    reportedTuning = null;
+    noiseFloor.reset();
+    reportedNoise = null;
+    harmony.reset();
     startRenderLoop();
 
-    // Attempt to load Essentia.js WASM for better pitch accuracy
-    const wasmUrl = chrome.runtime.getURL('vendor/essentia/essentia-wasm.web.js');
-    loadEssentia(wasmUrl).catch(() => {});
+    // Attempt to load the optional detector backends (Essentia.js WASM in a
+    // worker, neural model weights), then apply the user's backend choice
+    setDetectorStatusListener(reportDetectorStatus);
+    loadEssentia(
+      chrome.runtime.getURL('lib/essentia-worker.js'),
+      chrome.runtime.getURL('vendor/essentia/')
+    ).catch(() => {});
+    loadNeuralDetector(chrome.runtime.getURL('vendor/models/pianorain-mlp.json')).then((ready) => {
+      // The neural backend registers only once its model has loaded, which
+      // may be after the saved choice below was applied
+      if (!ready) return;
+      chrome.storage.local.get('detectorBackend', (prefs) => {
+        if (isActive && prefs.detectorBackend) setDetectorBackend(prefs.detectorBackend);
+      });
+    }).catch(() => {});
+    chrome.storage.local.get(['detectorBackend', 'synthMode', 'synthMix', 'lookahead', 'colorScheme', 'colorTheme',
+      'noteLabels', 'octaveMarkers'], (prefs) => {
+      if (prefs.detectorBackend) setDetectorBackend(prefs.detectorBackend);
+      setColorScheme(prefs.colorScheme, prefs.colorTheme);
+      setNoteLabels(prefs.noteLabels, prefs.octaveMarkers);
+      if (prefs.lookahead) setLookahead(true);
+      applySynthSettings(prefs.synthMode || 'off', prefs.synthMix);
+    });
 
     sendStatus('active');
     return { ok: true };
@@ -83,6 +164,10 @@
   function deactivate() {
     if (!isActive) return;
     isActive = false;
+    // Cancelling restores the video before the audio graph is torn down
+    if (exportController) exportController.abort();
+    takeRecorder.stop();
+    if (synth) synth.allNotesOff();
 
     if (animFrameId) {
       cancelAnimationFrame(animFrameId);
@@ -96,21 +181,168 @@
       cleanupVideoSync();
       cleanupVideoSync = null;
     }
+    if (mediaClock) {
+      mediaClock.stop();
+      mediaClock = null;
+    }
 
     removeOverlay();
     teardownAudioCapture();
     clearAllNotes();
+    noteEventQueue = [];
+    noiseFloor.reset();
+    clearNoiseGate();
+    exportMarks = { a: null, b: null };
+    filePlayback.clear();
+    midiFileInfo = null;
 
     canvas = null;
     ctx = null;
+    mixControl = null;
+    synth = null;
     video = null;
     analyser = null;
     audioCtx = null;
-    lastFrameTime = null;
+    lastPlayedTime = null;
 
     sendStatus('inactive');
   }
 
+  // ── Analysis (fixed hop, driven by the AudioWorklet) ───────────────────────
+  function onAnalysisFrame(frame) {
+    if (!isActive || !video || video.paused || video.ended) {
+      recycleAnalysisFrame(frame);
+      return;
+    }
+    const { freqData, timeData, sampleRate: sr } = frame;
+
+    // Media time of the frame: the worklet stamps it in AudioContext time
+    const lag = Math.max(0, audioCtx.currentTime - frame.time);
+    const mediaTime = Math.max(0, video.currentTime - lag * video.playbackRate);
+
+    // Update the noise floor first: every detector below gates against it
+    noiseFloor.process(freqData, sr, mediaTime);
+    reportNoiseFloor(noiseFloor.getStatus());
+
+    // Refine the concert-pitch reference before converting peaks to notes
+    reportTuning(updateTuningEstimate(freqData, sr));
+
+    // Detect all notes sounding in this frame with the selected backend
+    const notes = detectNotesEnhanced(freqData, timeData, sr);
+    const onset = onsetDetector.process(freqData, sr, notes.map((n) => n.midi));
+    harmony.process(freqData, sr, mediaTime, notes);
+
+    // Smooth into note events for the render loop
+    const events = handAssigner.assign(noteTracker.process({
+      time: mediaTime,
+      notes,
+      struckMidis: onset.struckMidis,
+      velocityOf: (midi) => velocityEstimator.estimate(midi, freqData, sr),
+    }));
+    events.push(...pedalDetector.process(freqData, sr, mediaTime, notes));
+    recycleAnalysisFrame(frame);
+
+    if (events.length === 0) return;
+    noteEventQueue.push(...events);
+    if (noteEventQueue.length >= MAX_QUEUED_NOTE_EVENTS) applyQueuedNoteEvents();
+  }
+
+  /** Applies and empties the queue of detected note events. */
+  function applyQueuedNoteEvents() {
+    const events = noteEventQueue;
+    noteEventQueue = [];
+    applyNoteEvents(events);
+  }
+
+  /**
+   * Hands note events (detected, or from a loaded file) to the take recorder,
+   * the synth and the falling notes.
+   * @param {Array<object>} events
+   */
+  function applyNoteEvents(events) {
+    if (takeRecorder.isRecording()) {
+      takeRecorder.record(events.filter((ev) => ev.source !== 'file'), video.currentTime);
+    }
+    // A loaded file shown on its own replaces the detected notes (and is
+    // what the synth plays)
+    const fileOnly = filePlayback.isLoaded() && fileDisplay === 'file';
+    const shown = fileOnly ? events.filter((ev) => ev.source === 'file') : events;
+    playSynth(fileOnly ? shown : events.filter((ev) => ev.source !== 'file'));
+    if (shown.length > 0 && canvas) {
+      updateNotes(shown, canvas.width, canvas.height, noteColors(), getKeyPosition);
+    }
+  }
+
+  /**
+   * Drops all detection state and pending events (activation, seeks, display
+   * changes).
+   * @param {boolean} [keepHistory]  keep the notes played before the current
+   *        position (seeks) instead of clearing the screen
+   */
+  function resetDetection(keepHistory) {
+    // Notes still sounding end the recorded pass where playback left off
+    takeRecorder.interrupt();
+    if (synth) synth.allNotesOff();
+    synthQueue = [];
+    if (keepHistory && video) {
+      seekNotes(video.currentTime, lastPlayedTime === null ? video.currentTime : lastPlayedTime);
+    } else {
+      clearAllNotes();
+    }
+    lastPlayedTime = null;
+    if (mediaClock) mediaClock.reset();
+    noteEventQueue = [];
+    onsetDetector.reset();
+    noteTracker.reset();
+    handAssigner.reset();
+    pedalDetector.reset();
+    harmony.resetChords();
+    resetAnalysisWorklet();
+    // Re-sound the file notes held across the new position
+    if (filePlayback.isLoaded() && video) {
+      noteEventQueue.push(...fileEvents(filePlayback.seek(video.currentTime)));
+    }
+  }
+
+  /**
+   * Filters file events for the current display: in the compare display the
+   * pedal strip keeps showing the detected pedal.
+   * @param {Array<object>} events  - from filePlayback
+   * @returns {Array<object>}
+   */
+  function fileEvents(events) {
+    if (fileDisplay !== 'compare') return events;
+    return events.filter((ev) => ev.type !== 'pedal');
+  }
+
+  /**
+   * Note colours: the hands' and the colour scheme, plus the file colour when
+   * comparing.
+   */
+  function noteColors() {
+    const colors = Object.assign({}, handColors, { scheme: colorScheme, glow: colorTheme.glow });
+    if (filePlayback.isLoaded() && fileDisplay === 'compare') colors.file = fileNoteColor;
+    return colors;
+  }
+
+  /**
+   * Switches the colour scheme and theme (the theme's hand colours arrive
+   * separately, through the popup's colour pickers).
+   * @param {string} [scheme]
+   * @param {string} [theme]
+   */
+  function setColorScheme(scheme, theme) {
+    if (COLOR_SCHEMES.some((s) => s.id === scheme)) colorScheme = scheme;
+    if (theme) colorTheme = getColorTheme(theme);
+    updateNoteColors(noteColors());
+  }
+
+  /** Loaded file summary for the popup, or null. */
+  function getFileState() {
+    if (!midiFileInfo) return null;
+    return Object.assign({}, midiFileInfo, { offset: filePlayback.getOffset(), display: fileDisplay });
+  }
+
   // ── Render loop ────────────────────────────────────────────────────────────
   function startRenderLoop() {
     function frame(timestamp) {
@@ -119,49 +351,189 @@
 
       if (!canvas || !ctx) return;
 
+      const mediaTime = mediaClock.now(timestamp);
       if (video.paused || video.ended) {
-        renderFrame();
-        lastFrameTime = null;
+        renderFrame(mediaTime);
         return;
       }
+      lastPlayedTime = video.currentTime;
 
-      const dt = lastFrameTime !== null
-        ? Math.min((timestamp - lastFrameTime) / 1000, 0.1)
-        : 0;
-      lastFrameTime = timestamp;
-
-      // Get frequency & time domain data
-      const freqData = new Float32Array(analyser.frequencyBinCount);
-      analyser.getFloatFrequencyData(freqData);
-
-      const timeData = new Float32Array(analyser.fftSize);
-      analyser.getFloatTimeDomainData(timeData);
-
-      const sr = audioCtx ? audioCtx.sampleRate : 44100;
-
-      // Detect note
-      const midi = detectNoteEnhanced(freqData, timeData, sr);
-
-      // Update falling notes
-      updateNotes(midi, canvas.width, canvas.height, noteColor, playbackRate, getKeyPosition);
-      advanceNotes(dt, canvas.height, playbackRate, getKeyboardTop);
+      // Consume the note events queued by the analysis path, and those of a
+      // loaded file that became due (`lead` seconds early in lookahead mode);
+      // with none, this still lets the synth play the events it holds back
+      // until their media time
+      const lead = lookaheadLead();
+      if (filePlayback.isLoaded()) {
+        noteEventQueue.push(...fileEvents(filePlayback.eventsUntil(video.currentTime + lead)));
+      }
+      applyQueuedNoteEvents();
+      if (takeRecorder.isRecording()) reportTake(timestamp);
 
-      renderFrame();
+      renderFrame(mediaTime);
     }
 
     animFrameId = requestAnimationFrame(frame);
   }
 
-  function renderFrame() {
+  /**
+   * Draws the overlay for a media time.
+   * @param {number} mediaTime  - media time of the video frame on screen
+   */
+  function renderFrame(mediaTime) {
     if (!ctx || !canvas) return;
     const w = canvas.width;
     const h = canvas.height;
 
     ctx.clearRect(0, 0, w, h);
+    if (colorTheme.background) {
+      ctx.fillStyle = colorTheme.background;
+      ctx.fillRect(0, 0, w, h);
+    }
+
+    // File blocks are drawn `lookaheadLead()` seconds ahead, which puts
+    // them exactly that far above the keyboard
+    positionNotes(mediaTime, lookaheadLead());
+
+    const colors = noteColors();
+    const activeKeys = getActiveKeyColors(h);
+    // Labels are spelled in the detected key
+    const key = harmony.getKey();
+    const labelOf = (midi) => noteLabel(midi, labelMode, key);
+    renderNotes(ctx, h, colors);
+    if (labelMode !== 'off') renderNoteLabels(ctx, h, labelOf);
+    renderHarmonyStrip(ctx, w, h, harmony.getCurrent());
+    renderPedalStrip(ctx, w, h, colorTheme.pedal, colorTheme.pedalLabel);
+    const layout = renderPiano(ctx, w, h, activeKeys, colorTheme.glow);
+    if (labelMode !== 'off' || octaveMarkers) renderKeyLabels(ctx, layout, activeKeys, labelOf, octaveMarkers);
+
+    if (videoRecording) videoRecording.drawFrame();
+  }
+
+  // ── Note labels ────────────────────────────────────────────────────────────
+  /**
+   * @param {string} [mode]  one of NOTE_LABEL_MODES
+   * @param {boolean} [markers]  octave markers on C keys
+   */
+  function setNoteLabels(mode, markers) {
+    if (NOTE_LABEL_MODES.includes(mode)) labelMode = mode;
+    if (typeof markers === 'boolean') octaveMarkers = markers;
+  }
 
-    const activeKeys = getActiveKeyMidis(h);
-    renderNotes(ctx, h, noteColor);
-    renderPiano(ctx, w, h, activeKeys, noteColor);
+  // ── Lookahead ──────────────────────────────────────────────────────────────
+  /**
+   * Media seconds a block takes to fall from the top of the canvas to the
+   * keyboard. In lookahead mode the notes of a loaded file (or pre-analysed
+   * video) start falling that long before they sound, so they reach the keys
+   * as they are heard; live detection can't see ahead and keeps falling from
+   * the moment a note is heard.
+   * @returns {number} seconds, 0 when lookahead is off or nothing is loaded
+   */
+  function lookaheadLead() {
+    if (!lookahead || !filePlayback.isLoaded() || !canvas) return 0;
+    return getKeyboardTop(canvas.height) / BASE_FALL_SPEED;
+  }
+
+  function setLookahead(enabled) {
+    if (lookahead === !!enabled) return;
+    lookahead = !!enabled;
+    // Start over so the file blocks on screen move to the new timing
+    if (isActive) resetDetection();
+  }
+
+  // ── Synth ──────────────────────────────────────────────────────────────────
+  /**
+   * Applies the synth mode and crossfader position.
+   * @param {string} mode  'off', 'mix' or 'replace'
+   * @param {number} [mix]  crossfader position for 'mix', 0–1
+   */
+  function applySynthSettings(mode, mix) {
+    if (mode === 'off' || mode === 'mix' || mode === 'replace') synthMode = mode;
+    if (typeof mix === 'number') synthMix = Math.min(1, Math.max(0, mix));
+    if (synthMode === 'off' && synth) synth.allNotesOff();
+    setMonitorMix(synthMode === 'off' ? 0 : synthMode === 'replace' ? 1 : synthMix);
+    if (mixControl) {
+      mixControl.setValue(synthMix);
+      mixControl.setVisible(synthMode === 'mix');
+    }
+  }
+
+  function onMixInput(mix) {
+    synthMix = mix;
+    setMonitorMix(mix);
+    chrome.storage.local.set({ synthMix: mix });
+  }
+
+  /**
+   * Plays note and pedal events on the synth once their media time comes
+   * (file notes arrive early in lookahead mode).
+   * @param {Array<object>} events  - this frame's events
+   */
+  function playSynth(events) {
+    if (!synth || synthMode === 'off') {
+      synthQueue = [];
+      return;
+    }
+    synthQueue.push(...events);
+    const mediaTime = video.currentTime;
+    const due = synthQueue.filter((ev) => ev.time <= mediaTime);
+    if (due.length === 0) return;
+    synthQueue = synthQueue.filter((ev) => ev.time > mediaTime);
+    const now = audioCtx.currentTime;
+    for (const ev of due) {
+      if (ev.type === 'on') synth.noteOn(ev.midi, ev.velocity, now);
+      else if (ev.type === 'off') synth.noteOff(ev.midi, now);
+      else if (ev.type === 'pedal') synth.setSustain(ev.down, now);
+    }
+  }
+
+  // ── Tuning report ──────────────────────────────────────────────────────────
+  function reportTuning(a4) {
+    const rounded = Math.round(a4 * 10) / 10;
+    if (rounded === reportedTuning) return;
+    reportedTuning = rounded;
+    chrome.runtime.sendMessage({
+      target: 'popup',
+      type: 'tuning',
+      a4: rounded,
+    }).catch(() => {});
+  }
+
+  // ── Take report ────────────────────────────────────────────────────────────
+  function reportTake(timestamp) {
+    if (timestamp - lastTakeReport < TAKE_REPORT_INTERVAL) return;
+    lastTakeReport = timestamp;
+    const status = takeRecorder.getStatus();
+    const key = `${status.recording}:${status.noteCount}:${Math.floor(status.duration)}`;
+    if (key === reportedTake) return;
+    reportedTake = key;
+    chrome.runtime.sendMessage({
+      target: 'popup',
+      type: 'take',
+      take: status,
+    }).catch(() => {});
+  }
+
+  // ── Noise floor report ─────────────────────────────────────────────────────
+  function reportNoiseFloor(status) {
+    const floorDb = status.floorDb === null ? null : Math.round(status.floorDb);
+    const key = `${floorDb}:${status.mode}`;
+    if (key === reportedNoise) return;
+    reportedNoise = key;
+    chrome.runtime.sendMessage({
+      target: 'popup',
+      type: 'noiseFloor',
+      noise: { floorDb, mode: status.mode },
+    }).catch(() => {});
+  }
+
+  // ── Detector backend report ────────────────────────────────────────────────
+  function reportDetectorStatus(status) {
+    chrome.runtime.sendMessage({
+      target: 'popup',
+      type: 'detector',
+      detector: status,
+      backends: getDetectorBackends(),
+    }).catch(() => {});
   }
 
   // ── Status helper ──────────────────────────────────────────────────────────
@@ -182,7 +554,7 @@
 
     switch (message.type) {
       case 'activate':
-        activate(message.noteColor).then(sendResponse);
+        activate(message.handColors).then(sendResponse);
         return true; // async
 
       case 'deactivate':
@@ -191,57 +563,515 @@
         break;
 
       case 'updateColor':
-        noteColor = message.noteColor;
-        updateNoteColors(noteColor);
+        handColors = Object.assign({}, handColors, message.handColors);
+        updateNoteColors(noteColors());
         sendResponse({ ok: true });
         break;
 
+      case 'setDetector':
+        if (setDetectorBackend(message.backend)) {
+          noteTracker.reset();
+          sendResponse({ ok: true });
+        } else {
+          sendResponse({ error: `Unknown detector: ${message.backend}` });
+        }
+        break;
+
+      case 'calibrateNoise':
+        if (!isActive) {
+          sendResponse({ error: 'PianoRain must be active to calibrate.' });
+          break;
+        }
+        // Calibration runs on live analysis frames: none arrive while the
+        // video is paused or an export has them
+        if (!video || video.paused || video.ended) {
+          sendResponse({ error: 'Play a quiet passage to calibrate.' });
+          break;
+        }
+        if (exportController) {
+          sendResponse({ error: 'Wait for the export to finish before calibrating.' });
+          break;
+        }
+        noiseFloor.calibrate(NOISE_CALIBRATION_SECONDS)
+          .then(() => {
+            reportNoiseFloor(noiseFloor.getStatus());
+            sendResponse({ ok: true, noise: noiseFloor.getStatus() });
+          })
+          .catch((e) => sendResponse({ error: e.message }));
+        reportNoiseFloor(noiseFloor.getStatus());
+        return true; // async
+
       case 'exportMidi':
-        handleExportMidi().then(sendResponse);
+        handleExport('midi', message).then(sendResponse);
+        return true; // async
+
+      case 'exportMusicXml':
+        handleExport('musicxml', message).then(sendResponse);
+        return true; // async
+
+      case 'exportJson':
+        handleExport('json', message).then(sendResponse);
         return true; // async
 
+      case 'exportWav':
+        handleExport('wav', message).then(sendResponse);
+        return true; // async
+
+      case 'recordVideo':
+        handleRecordVideo(message).then(sendResponse);
+        return true; // async
+
+      case 'cancelExport':
+        if (exportController) exportController.abort();
+        sendResponse({ ok: true });
+        break;
+
+      case 'setExportMark':
+        if (!isActive || !video) {
+          sendResponse({ error: 'PianoRain must be active to mark a range.' });
+          break;
+        }
+        exportMarks[message.point === 'b' ? 'b' : 'a'] = video.currentTime;
+        sendResponse({ ok: true, marks: exportMarks });
+        break;
+
+      case 'loadFile':
+        sendResponse(handleLoadFile(message));
+        break;
+
+      case 'clearMidiFile':
+        filePlayback.clear();
+        midiFileInfo = null;
+        if (isActive) resetDetection();
+        sendResponse({ ok: true });
+        break;
+
+      case 'setFileOffset':
+        filePlayback.setOffset(Number(message.offset) || 0);
+        if (isActive) resetDetection();
+        sendResponse({ ok: true, file: getFileState() });
+        break;
+
+      case 'setNoteLabels':
+        setNoteLabels(message.mode, message.octaveMarkers);
+        sendResponse({ ok: true });
+        break;
+
+      case 'setColorScheme':
+        setColorScheme(message.scheme, message.theme);
+        sendResponse({ ok: true });
+        break;
+
+      case 'setLookahead':
+        setLookahead(message.enabled);
+        sendResponse({ ok: true });
+        break;
+
+      case 'analyseVideo':
+        handleAnalyseVideo().then(sendResponse);
+        return true; // async
+
+      case 'setFileDisplay':
+        if (message.color) fileNoteColor = message.color;
+        if ((message.display === 'file' || message.display === 'compare') && message.display !== fileDisplay) {
+          fileDisplay = message.display;
+          // Start over so the blocks on screen match the new display
+          if (isActive) resetDetection();
+        } else {
+          updateNoteColors(noteColors());
+        }
+        sendResponse({ ok: true, file: getFileState() });
+        break;
+
+      case 'setRecording':
+        if (message.recording) {
+          if (!isActive) {
+            sendResponse({ error: 'PianoRain must be active to record.' });
+            break;
+          }
+          takeRecorder.start();
+        } else {
+          takeRecorder.stop();
+        }
+        sendResponse({ ok: true, take: takeRecorder.getStatus() });
+        break;
+
+      case 'clearTake':
+        takeRecorder.clear();
+        sendResponse({ ok: true, take: takeRecorder.getStatus() });
+        break;
+
+      case 'downloadTake':
+        handleDownloadTake(message.format, message.quantize).then(sendResponse);
+        return true; // async
+
+      case 'setSynth':
+        applySynthSettings(message.mode);
+        sendResponse({ ok: true });
+        break;
+
+      case 'getState':
+        sendResponse({
+          ok: true,
+          active: isActive,
+          a4: getTuningReference(),
+          detector: getDetectorStatus(),
+          backends: getDetectorBackends(),
+          noise: noiseFloor.getStatus(),
+          marks: exportMarks,
+          exporting: !!exportController,
+          file: getFileState(),
+          take: takeRecorder.getStatus(),
+        });
+        break;
+
       case 'ping':
         sendResponse({ ok: true });
         break;
     }
   });
 
-  // ── Export MIDI ────────────────────────────────────────────────────────────
-  async function handleExportMidi() {
+  // ── Load MIDI file / transcript ────────────────────────────────────────────
+  /**
+   * Reads a MIDI file or PianoRain transcript sent by the popup and starts
+   * showing it. A transcript starts at the media time it was made from.
+   * @param {{name: string, kind: string, data?: number[], text?: string, display?: string, color?: string}} request
+   *        kind 'midi' (with the file's bytes as `data`) or 'transcript'
+   *        (with the JSON as `text`)
+   * @returns {{ok?: boolean, file?: object, error?: string}}
+   */
+  function handleLoadFile(request) {
+    if (!isActive || !video) {
+      return { error: 'PianoRain must be active to load a file.' };
+    }
+    let parsed;
+    let offset = 0;
+    try {
+      if (request.kind === 'transcript') {
+        parsed = parseTranscript(request.text || '');
+        if (parsed.range && isFinite(parsed.range.start)) offset = parsed.range.start;
+      } else {
+        parsed = parseMidiFile(new Uint8Array(request.data || []));
+      }
+    } catch (e) {
+      const what = request.kind === 'transcript' ? 'transcript' : 'MIDI file';
+      return { error: `Could not read ${what}: ` + e.message };
+    }
+    if (parsed.notes.length === 0) {
+      return { error: 'The file contains no notes.' };
+    }
+
+    if (request.display === 'file' || request.display === 'compare') fileDisplay = request.display;
+    if (request.color) fileNoteColor = request.color;
+    showFile(parsed, offset, request.name || 'MIDI file');
+    return { ok: true, file: getFileState() };
+  }
+
+  /**
+   * Plays notes as the loaded file, starting over at the current position.
+   * @param {{notes: Array<object>, pedalEvents: Array<object>}} file
+   * @param {number} offset  - media time of the file's time 0
+   * @param {string} name  - shown in the popup
+   */
+  function showFile(file, offset, name) {
+    filePlayback.load(file);
+    filePlayback.setOffset(offset);
+    midiFileInfo = {
+      name,
+      noteCount: file.notes.length,
+      duration: file.notes.reduce((max, note) => Math.max(max, note.endTime), 0),
+    };
+    resetDetection();
+  }
+
+  /**
+   * Transcribes the whole video ahead of time and plays the result as the
+   * loaded file, which lookahead mode can then show before it sounds.
+   * Shares the export's progress and cancellation.
+   * @returns {Promise<{ok?: boolean, file?: object, cancelled?: boolean, error?: string}>}
+   */
+  async function handleAnalyseVideo() {
     if (!isActive || !video || !analyser || !audioCtx) {
-      return { error: 'PianoRain must be active to export MIDI.' };
+      return { error: 'PianoRain must be active to analyse the video.' };
+    }
+    if (exportController) {
+      return { error: 'An export is already running.' };
     }
+
+    exportController = new AbortController();
     try {
-      sendStatus('exporting', 'Processing video...');
-      const midiData = await exportVideoToMidi(video, analyser, audioCtx, (progress) => {
+      sendStatus('exporting', 'Analysing video...');
+      const transcript = await transcribeVideo(video, audioCtx, (progress) => {
         chrome.runtime.sendMessage({
           target: 'popup',
           type: 'exportProgress',
           progress,
         }).catch(() => {});
+      }, {
+        noiseProfile: noiseFloor.getProfile(),
+        signal: exportController.signal,
+      });
+      sendStatus('active');
+      if (!transcript) return { error: 'No piano notes were detected in this video.' };
+
+      showFile(transcript, 0, 'Analysis of this video');
+      return { ok: true, file: getFileState() };
+    } catch (e) {
+      if (isActive) sendStatus('active');
+      if (e.name === 'AbortError') return { cancelled: true };
+      return { error: 'Analysis failed: ' + e.message };
+    } finally {
+      exportController = null;
+    }
+  }
+
+  /**
+   * Transcript metadata describing the current video and detector setup.
+   * @param {string} source  'export' or 'record'
+   * @param {{start: number, end: number}} range  media seconds covered
+   * @returns {object} meta for buildTranscript()
+   */
+  function transcriptMeta(source, range) {
+    const { videoTitle } = getVideoTitles();
+    const duration = video && isFinite(video.duration) ? video.duration : null;
+    const noise = noiseFloor.getStatus();
+    return {
+      source,
+      generator: `PianoRain ${chrome.runtime.getManifest().version}`,
+      video: {
+        id: new URL(location.href).searchParams.get('v'),
+        title: videoTitle,
+        duration,
+      },
+      range: {
+        start: range.start,
+        end: isFinite(range.end) ? range.end : duration,
+      },
+      detector: {
+        backend: resolveDetectorBackend().id,
+        settings: { noiseFloor: { mode: noise.mode, floorDb: noise.floorDb } },
+      },
+      a4: getTuningReference(),
+    };
+  }
+
+  // ── Recorded take ──────────────────────────────────────────────────────────
+  /**
+   * Downloads the recorded take.
+   * @param {string} format  'midi', 'json' or 'wav' (rendered with the synth)
+   * @param {{grid: string, strength: number}} [quantize]  for MIDI
+   * @returns {Promise<{ok?: boolean, error?: string}>}
+   */
+  async function handleDownloadTake(format, quantize) {
+    const take = takeRecorder.getTake();
+    if (take.notes.length === 0) {
+      return { error: 'The take is empty: record some playback first.' };
+    }
+    const { fileTitle } = getVideoTitles();
+    if (format === 'json') {
+      const duration = take.notes.reduce((max, note) => Math.max(max, note.endTime), 0);
+      const transcript = buildTranscript(take.notes, Object.assign(
+        transcriptMeta('record', { start: 0, end: duration }),
+        { pedalEvents: take.pedalEvents }
+      ));
+      downloadTranscript(transcript, `${fileTitle} (take).json`);
+    } else if (format === 'wav') {
+      try {
+        const rendered = await renderNotesOffline(take.notes, take.pedalEvents);
+        downloadWavFile(encodeWav(rendered), `${fileTitle} (take).wav`);
+      } catch (e) {
+        return { error: 'WAV rendering failed: ' + e.message };
+      }
+    } else {
+      const midiData = buildMidiFile(take.notes, [], {
+        splitHands: true,
+        pedalEvents: take.pedalEvents,
+        beatGrid: estimateBeatGrid(take.notes),
+        quantize,
       });
+      downloadMidiFile(midiData, `${fileTitle} (take).mid`);
+    }
+    return { ok: true };
+  }
+
+  /**
+   * The video's title, and a version of it safe to use as a file name.
+   * @returns {{videoTitle: string, fileTitle: string}}
+   */
+  function getVideoTitles() {
+    const titleEl = document.querySelector('h1.ytd-watch-metadata yt-formatted-string, #info-contents h1');
+    const videoTitle = titleEl ? titleEl.textContent.trim() : '';
+    const fileTitle = videoTitle
+      ? videoTitle.replace(/[^\w\s-]/g, '').substring(0, 60)
+      : 'pianorain-export';
+    return { videoTitle, fileTitle };
+  }
+
+  // ── Export MIDI / MusicXML / JSON / WAV ────────────────────────────────────
+  /**
+   * Resolves the popup's range choice to media seconds.
+   * @param {{mode: string, seconds?: number}} [range]  mode 'whole', 'ab'
+   *        (the marked A–B selection) or 'from-now' (`seconds` from the playhead)
+   * @returns {{range?: {start: number, end: number}, error?: string}}
+   */
+  function resolveExportRange(range) {
+    const mode = range && range.mode;
+    if (mode === 'ab') {
+      const { a, b } = exportMarks;
+      if (a === null || b === null) return { error: 'Set both A and B before exporting the selection.' };
+      if (b <= a) return { error: 'B must come after A.' };
+      return { range: { start: a, end: b } };
+    }
+    if (mode === 'from-now') {
+      const seconds = Number(range.seconds);
+      if (!(seconds > 0)) return { error: 'Enter how many seconds to export.' };
+      return { range: { start: video.currentTime, end: video.currentTime + seconds } };
+    }
+    return { range: { start: 0, end: Infinity } };
+  }
+
+  /**
+   * Transcribes the chosen range and downloads it as a file.
+   * @param {string} format  'midi', 'musicxml', 'json' (a transcript) or 'wav'
+   *        (the transcription rendered with the synth)
+   * @param {{quantize?: object, range?: object, splitPoint?: number|null}} request
+   *        the popup's export message
+   * @returns {Promise<{ok?: boolean, cancelled?: boolean, error?: string}>}
+   */
+  async function handleExport(format, request) {
+    const formatName = { musicxml: 'MusicXML', json: 'JSON', wav: 'WAV' }[format] || 'MIDI';
+    if (!isActive || !video || !analyser || !audioCtx) {
+      return { error: `PianoRain must be active to export ${formatName}.` };
+    }
+    if (exportController) {
+      return { error: 'An export is already running.' };
+    }
+    const { range, error } = resolveExportRange(request.range);
+    if (error) return { error };
+
+    const { videoTitle, fileTitle } = getVideoTitles();
+
+    exportController = new AbortController();
+    try {
+      sendStatus('exporting', 'Processing video...');
+      const onProgress = (progress) => {
+        chrome.runtime.sendMessage({
+          target: 'popup',
+          type: 'exportProgress',
+          progress,
+        }).catch(() => {});
+      };
+      const options = {
+        noiseProfile: noiseFloor.getProfile(),
+        range,
+        signal: exportController.signal,
+      };
+
+      let exported;
+      if (format === 'musicxml') {
+        // Notation always needs a grid; the popup's quantise grid picks it
+        const grid = request.quantize ? request.quantize.grid : undefined;
+        exported = await exportVideoToMusicXml(video, audioCtx, onProgress, {
+          ...options,
+          grid,
+          splitPoint: typeof request.splitPoint === 'number' ? request.splitPoint : null,
+          title: videoTitle || undefined,
+        });
+      } else if (format === 'wav') {
+        const transcript = await transcribeVideo(video, audioCtx, onProgress, options);
+        exported = transcript &&
+          encodeWav(await renderNotesOffline(transcript.notes, transcript.pedalEvents));
+      } else if (format === 'json') {
+        const transcript = await transcribeVideo(video, audioCtx, onProgress, options);
+        exported = transcript && buildTranscript(transcript.notes, Object.assign(
+          transcriptMeta('export', range),
+          { pedalEvents: transcript.pedalEvents }
+        ));
+      } else {
+        exported = await exportVideoToMidi(video, audioCtx, onProgress, {
+          ...options,
+          quantize: request.quantize,
+        });
+      }
 
-      // An empty-notes MIDI file contains only the header chunk (14 bytes) and a track chunk
-      // with just the metadata events (Track Name, Time Signature, Tempo, Program Change,
-      // End-of-Track) = 42 track bytes + 8 chunk header bytes = 50 bytes. Total = 64 bytes.
-      // If the file is no larger than this, no note events were generated.
-      const EMPTY_MIDI_SIZE = 64;
-      if (midiData.length <= EMPTY_MIDI_SIZE) {
+      if (!exported) {
         sendStatus('active');
         return { error: 'No piano notes were detected in this video.' };
       }
 
-      const titleEl = document.querySelector('h1.ytd-watch-metadata yt-formatted-string, #info-contents h1');
-      const title = titleEl
-        ? titleEl.textContent.trim().replace(/[^\w\s-]/g, '').substring(0, 60)
-        : 'pianorain-export';
-      downloadMidiFile(midiData, `${title}.mid`);
+      if (format === 'musicxml') {
+        downloadMusicXmlFile(exported, `${fileTitle}.musicxml`);
+      } else if (format === 'json') {
+        downloadTranscript(exported, `${fileTitle}.json`);
+      } else if (format === 'wav') {
+        downloadWavFile(exported, `${fileTitle} (transcription).wav`);
+      } else {
+        downloadMidiFile(exported, `${fileTitle}.mid`);
+      }
 
       sendStatus('active');
       return { ok: true };
     } catch (e) {
+      if (isActive) sendStatus('active');
+      if (e.name === 'AbortError') return { cancelled: true };
+      return { error: `${formatName} export failed: ` + e.message };
+    } finally {
+      exportController = null;
+    }
+  }
+
+  // ── Record overlay video ───────────────────────────────────────────────────
+  /**
+   * Plays the chosen range at 1× and records the overlay (over the video
+   * frame, or alone) to a WebM download. Shares the export's progress and
+   * cancellation.
+   * @param {{range?: object, height?: number, overlayOnly?: boolean}} request
+   *        the popup's message
+   * @returns {Promise<{ok?: boolean, cancelled?: boolean, error?: string}>}
+   */
+  async function handleRecordVideo(request) {
+    if (!isActive || !video || !canvas) {
+      return { error: 'PianoRain must be active to record a video.' };
+    }
+    if (exportController) {
+      return { error: 'An export is already running.' };
+    }
+    if (typeof MediaRecorder === 'undefined') {
+      return { error: 'This browser cannot record video.' };
+    }
+    const { range, error } = resolveExportRange(request.range);
+    if (error) return { error };
+
+    const { fileTitle } = getVideoTitles();
+
+    exportController = new AbortController();
+    try {
+      sendStatus('exporting', 'Recording video...');
+      videoRecording = startVideoRecording(video, canvas, {
+        range,
+        height: request.height,
+        overlayOnly: !!request.overlayOnly,
+        signal: exportController.signal,
+        onProgress: (progress) => {
+          chrome.runtime.sendMessage({
+            target: 'popup',
+            type: 'exportProgress',
+            progress,
+          }).catch(() => {});
+        },
+      });
+      const blob = await videoRecording.finished;
+      downloadVideoFile(blob, `${fileTitle} (PianoRain).webm`);
+
       sendStatus('active');
-      return { error: 'MIDI export failed: ' + e.message };
+      return { ok: true };
+    } catch (e) {
+      if (isActive) sendStatus('active');
+      if (e.name === 'AbortError') return { cancelled: true };
+      return { error: 'Video recording failed: ' + e.message };
+    } finally {
+      videoRecording = null;
+      exportController = null;
     }
   }
 
@@ -250,6 +1080,8 @@
     if (isActive) {
       deactivate();
     }
+    // A take belongs to the video it was recorded from
+    takeRecorder.clear();
     // Always reset stored active state on navigation so popup shows "Inactive"
     chrome.storage.local.set({ active: false });
   });
@@ -0,0 +1,164 @@
+// lib/analysis-worklet.js — AudioWorklet processor for PianoRain
+// Runs on the audio rendering thread (loaded with audioWorklet.addModule() from
+// lib/audio-capture.js — it is NOT a content script and shares nothing with them).
+//
+// Buffers the mono PCM coming out of the video's MediaElementSource and, every
+// `hopSize` samples, analyses the most recent `frameSize` samples exactly the
+// way an AnalyserNode would (Blackman window, |X|/N magnitude, temporal
+// smoothing, dB). Each frame is posted to the content script together with its
+// sample-accurate AudioContext timestamp, so detection runs at a fixed rate
+// regardless of display refresh or tab visibility.
+
+// Matches the AnalyserNode settings in lib/audio-capture.js so the detector's
+// dB thresholds apply unchanged. The frame size can be lowered (to another
+// power of two) while the video plays faster than real time, so a frame still
+// spans the same stretch of media time.
+const FRAME_SIZE = 8192;
+const SMOOTHING_TIME_CONSTANT = 0.6;
+const DEFAULT_HOP_SIZE = 441;
+const MIN_DECIBELS = -200;
+
+class PianoRainAnalysisProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = (options && options.processorOptions) || {};
+    this.hopSize = Math.max(1, Math.round(opts.hopSize || DEFAULT_HOP_SIZE));
+    this.running = true;
+
+    // Buffers handed back by the content script once it has analysed a frame
+    this.pool = [];
+    this.setFrameSize(opts.frameSize || FRAME_SIZE);
+
+    this.port.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'config') {
+        if (msg.hopSize > 0) this.hopSize = Math.round(msg.hopSize);
+        if (msg.frameSize > 0 && msg.frameSize !== this.frameSize) this.setFrameSize(msg.frameSize);
+      } else if (msg.type === 'recycle') {
+        if (this.pool.length < 4 && msg.timeData.length === this.frameSize) {
+          this.pool.push({ freqData: msg.freqData, timeData: msg.timeData });
+        }
+      } else if (msg.type === 'reset') {
+        this.ring.fill(0);
+        this.smoothed.fill(0);
+        this.samplesSinceHop = 0;
+      } else if (msg.type === 'stop') {
+        this.running = false;
+      }
+    };
+  }
+
+  /**
+   * (Re)allocates the ring buffer, FFT scratch space, window and twiddle
+   * tables for frames of `size` samples (a power of two). Clears the buffered
+   * audio and smoothing state.
+   * @param {number} size
+   */
+  setFrameSize(size) {
+    const n = this.frameSize = size;
+    this.ring = new Float32Array(n);
+    this.writeIndex = 0;
+    this.samplesSinceHop = 0;
+    this.pool = [];
+
+    this.re = new Float64Array(n);
+    this.im = new Float64Array(n);
+    this.smoothed = new Float64Array(n / 2);
+    this.window = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      const x = (2 * Math.PI * i) / n;
+      this.window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+    }
+    this.cos = new Float64Array(n / 2);
+    this.sin = new Float64Array(n / 2);
+    for (let i = 0; i < n / 2; i++) {
+      this.cos[i] = Math.cos((-2 * Math.PI * i) / n);
+      this.sin[i] = Math.sin((-2 * Math.PI * i) / n);
+    }
+    this.bitReverse = new Uint32Array(n);
+    const bits = Math.log2(n);
+    for (let i = 0; i < n; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+      this.bitReverse[i] = r;
+    }
+  }
+
+  process(inputs) {
+    if (!this.running) return false;
+    const input = inputs[0];
+    if (!input || input.length === 0) return true;
+
+    const channels = input.length;
+    const blockLength = input[0].length;
+
+    for (let i = 0; i < blockLength; i++) {
+      // Mix down to mono
+      let sample = 0;
+      for (let c = 0; c < channels; c++) sample += input[c][i];
+      this.ring[this.writeIndex] = sample / channels;
+      this.writeIndex = (this.writeIndex + 1) % this.frameSize;
+
+      if (++this.samplesSinceHop >= this.hopSize) {
+        this.samplesSinceHop = 0;
+        // Timestamp of the frame = context time just after its last sample
+        this.emitFrame((currentFrame + i + 1) / sampleRate);
+      }
+    }
+    return true;
+  }
+
+  emitFrame(time) {
+    const buffers = this.pool.pop() || {
+      freqData: new Float32Array(this.frameSize / 2),
+      timeData: new Float32Array(this.frameSize),
+    };
+    const { freqData, timeData } = buffers;
+    const re = this.re;
+    const im = this.im;
+
+    // Unroll the ring buffer (oldest sample first), window and bit-reverse
+    for (let i = 0; i < this.frameSize; i++) {
+      const sample = this.ring[(this.writeIndex + i) % this.frameSize];
+      timeData[i] = sample;
+      const j = this.bitReverse[i];
+      re[j] = sample * this.window[i];
+      im[j] = 0;
+    }
+
+    // Iterative radix-2 FFT
+    for (let size = 2; size <= this.frameSize; size <<= 1) {
+      const half = size >> 1;
+      const step = this.frameSize / size;
+      for (let start = 0; start < this.frameSize; start += size) {
+        for (let k = 0; k < half; k++) {
+          const a = start + k;
+          const b = a + half;
+          const wr = this.cos[k * step];
+          const wi = this.sin[k * step];
+          const xr = re[b] * wr - im[b] * wi;
+          const xi = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - xr;
+          im[b] = im[a] - xi;
+          re[a] += xr;
+          im[a] += xi;
+        }
+      }
+    }
+
+    // Smoothed magnitude in dB, as AnalyserNode.getFloatFrequencyData reports it
+    for (let k = 0; k < this.frameSize / 2; k++) {
+      const mag = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / this.frameSize;
+      const smoothed = SMOOTHING_TIME_CONSTANT * this.smoothed[k] + (1 - SMOOTHING_TIME_CONSTANT) * mag;
+      this.smoothed[k] = smoothed;
+      freqData[k] = smoothed > 0 ? Math.max(MIN_DECIBELS, 20 * Math.log10(smoothed)) : MIN_DECIBELS;
+    }
+
+    this.port.postMessage(
+      { type: 'frame', time, sampleRate, freqData, timeData },
+      [freqData.buffer, timeData.buffer]
+    );
+  }
+}
+
+registerProcessor('pianorain-analysis', PianoRainAnalysisProcessor);
@@ -1,9 +1,25 @@
 // lib/audio-capture.js — Web Audio API setup for PianoRain
+// Analysis runs in an AudioWorklet (lib/analysis-worklet.js) at a fixed hop,
+// for both the live view and the MIDI export pass. The AnalyserNode stays in
+// the graph for getFrequencyData().
 
 let audioCtx = null;
 let analyser = null;
 let sourceNode = null;
 let capturedVideo = null; // track which video element is captured
+let outputGain = null;    // GainNode in front of the speakers (mutes export passes)
+let originalGain = null;  // the video's share of the original/transcription mix
+let synthGain = null;     // input for lib/synth.js: the transcription's share of the mix
+let monitorMix = 0;       // 0 = original only … 1 = transcription only
+let analysisNode = null;  // AudioWorkletNode running lib/analysis-worklet.js
+let workletContext = null; // AudioContext the worklet module was added to
+let analysisFrameHandler = null; // receives every frame the worklet posts
+let analysisRate = 1;     // playback rate the worklet is configured for
+
+// Analysis hop: one frame every 10 ms of media time, independent of display refresh
+const ANALYSIS_HOP_SECONDS = 0.01;
+// Samples per analysis frame at 1x playback (matches the AnalyserNode)
+const ANALYSIS_FRAME_SIZE = 8192;
 
 function createAnalyserNode() {
   const node = audioCtx.createAnalyser();
@@ -12,9 +28,38 @@ function createAnalyserNode() {
   return node;
 }
 
+/**
+ * Connects the analyser and the synth input to the speakers through the mix
+ * and output gains. The synth is not fed to the analyser, so detection only
+ * ever hears the video.
+ */
+function connectOutputChain() {
+  outputGain = audioCtx.createGain();
+  originalGain = audioCtx.createGain();
+  synthGain = audioCtx.createGain();
+  analyser.connect(originalGain);
+  originalGain.connect(outputGain);
+  synthGain.connect(outputGain);
+  outputGain.connect(audioCtx.destination);
+  setMonitorMix(monitorMix);
+}
+
+/**
+ * Disconnects the nodes created by connectOutputChain().
+ */
+function disconnectOutputChain() {
+  for (const node of [originalGain, synthGain, outputGain]) {
+    if (node) { try { node.disconnect(); } catch (_) {} }
+  }
+  originalGain = null;
+  synthGain = null;
+  outputGain = null;
+}
+
 /**
  * Initialises the Web Audio pipeline for a given <video> element.
- * Creates: AudioContext → MediaElementSource → AnalyserNode → destination
+ * Creates: AudioContext → MediaElementSource → AnalyserNode → GainNode → destination,
+ * with the synth's input mixed in before the last GainNode
  *
  * Note: createMediaElementSource can only be called once per video element.
  * If the same video is passed again we reuse the existing sourceNode and just
@@ -30,11 +75,11 @@ function initAudioCapture(video) {
     // Reconnect nodes in case they were disconnected
     if (sourceNode) { try { sourceNode.disconnect(); } catch (_) {} }
     if (analyser) { try { analyser.disconnect(); } catch (_) {} }
+    disconnectOutputChain();
 
     analyser = createAnalyserNode();
-
     sourceNode.connect(analyser);
-    analyser.connect(audioCtx.destination);
+    connectOutputChain();
 
     return { audioCtx, analyser };
   }
@@ -57,19 +102,182 @@ function initAudioCapture(video) {
     capturedVideo = video;
   }
 
-  // Route: source → analyser → destination (user still hears audio)
+  // Route: source → analyser → mix → gain → destination (user still hears audio)
   sourceNode.connect(analyser);
-  analyser.connect(audioCtx.destination);
+  connectOutputChain();
 
   return { audioCtx, analyser };
 }
 
+/**
+ * Starts fixed-hop analysis of the captured audio on the audio rendering thread.
+ * Adds the worklet module to the current AudioContext (once per context) and
+ * connects an AudioWorkletNode in parallel with the analyser. Every analysed
+ * frame is passed to `onFrame` (or whichever handler setAnalysisFrameHandler()
+ * installed since); hand its buffers back with recycleAnalysisFrame() once
+ * done so the worklet can reuse them.
+ *
+ * Must be called after initAudioCapture().
+ *
+ * @param {string} moduleUrl  - chrome.runtime.getURL('lib/analysis-worklet.js')
+ * @param {function({time: number, sampleRate: number, freqData: Float32Array, timeData: Float32Array}): void} onFrame
+ *   `time` is the AudioContext time (seconds) just after the frame's last
+ *   sample; `sampleRate` is in samples per second of media time (the context
+ *   rate divided by the analysis rate, see setAnalysisRate())
+ * @returns {Promise<AudioWorkletNode>}
+ */
+async function startAnalysisWorklet(moduleUrl, onFrame) {
+  if (!audioCtx || !sourceNode) throw new Error('Audio capture is not initialised');
+  stopAnalysisWorklet();
+  analysisFrameHandler = onFrame;
+  analysisRate = 1;
+
+  if (workletContext !== audioCtx) {
+    await audioCtx.audioWorklet.addModule(moduleUrl);
+    workletContext = audioCtx;
+  }
+
+  analysisNode = new AudioWorkletNode(audioCtx, 'pianorain-analysis', {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    processorOptions: {
+      hopSize: Math.round(audioCtx.sampleRate * ANALYSIS_HOP_SECONDS),
+      frameSize: ANALYSIS_FRAME_SIZE,
+    },
+  });
+  analysisNode.port.onmessage = (e) => {
+    if (!e.data || e.data.type !== 'frame' || !analysisFrameHandler) return;
+    // Frames are only valid for the size they were configured with
+    if (e.data.timeData.length !== ANALYSIS_FRAME_SIZE / analysisRate) return;
+    e.data.sampleRate /= analysisRate;
+    analysisFrameHandler(e.data);
+  };
+  sourceNode.connect(analysisNode);
+  return analysisNode;
+}
+
+/**
+ * Routes the worklet's frames to `handler` (e.g. the MIDI exporter while it
+ * runs its pass) and returns the previous handler so it can be restored.
+ * @param {function(object): void} handler
+ * @returns {function(object): void|null}
+ */
+function setAnalysisFrameHandler(handler) {
+  const previous = analysisFrameHandler;
+  analysisFrameHandler = handler;
+  return previous;
+}
+
+/**
+ * Configures the worklet for a video playing `rate` times faster than real
+ * time, keeping both the hop and the frame length fixed in media time. The
+ * video must play with `preservesPitch = false`, so the audio is simply
+ * resampled and the spectrum scales back exactly.
+ * @param {number} rate  - 1, or a power of two up to 8
+ */
+function setAnalysisRate(rate) {
+  analysisRate = rate;
+  if (!analysisNode || !audioCtx) return;
+  analysisNode.port.postMessage({
+    type: 'config',
+    hopSize: Math.max(1, Math.round(audioCtx.sampleRate * ANALYSIS_HOP_SECONDS / rate)),
+    frameSize: ANALYSIS_FRAME_SIZE / rate,
+  });
+}
+
+/**
+ * Silences (or restores) the speakers without touching the video element:
+ * muting the element itself would silence the analysis as well.
+ * @param {boolean} muted
+ */
+function setAudioOutputMuted(muted) {
+  if (outputGain) outputGain.gain.value = muted ? 0 : 1;
+}
+
+/**
+ * Sets the balance between the video's audio and the synth (equal-power).
+ * @param {number} mix  - 0 = original only, 1 = transcription only
+ */
+function setMonitorMix(mix) {
+  monitorMix = Math.min(1, Math.max(0, mix));
+  if (originalGain) originalGain.gain.value = Math.cos(monitorMix * Math.PI / 2);
+  if (synthGain) synthGain.gain.value = Math.sin(monitorMix * Math.PI / 2);
+}
+
+/**
+ * Returns the node the synth should play into, or null before capture starts.
+ * @returns {GainNode|null}
+ */
+function getSynthOutput() {
+  return synthGain;
+}
+
+/**
+ * Taps what the speakers play (the original/transcription mix, ahead of the
+ * mute used by export passes) into a MediaStream for recording.
+ * @returns {MediaStreamAudioDestinationNode|null}  null when not initialised
+ */
+function createRecordingAudioTap() {
+  if (!audioCtx || !originalGain || !synthGain) return null;
+  const tap = audioCtx.createMediaStreamDestination();
+  originalGain.connect(tap);
+  synthGain.connect(tap);
+  return tap;
+}
+
+/**
+ * Disconnects a tap made by createRecordingAudioTap().
+ * @param {MediaStreamAudioDestinationNode} tap
+ */
+function removeRecordingAudioTap(tap) {
+  for (const node of [originalGain, synthGain]) {
+    if (node) { try { node.disconnect(tap); } catch (_) {} }
+  }
+}
+
+/**
+ * Returns a frame's buffers to the worklet so it doesn't allocate new ones.
+ * @param {{freqData: Float32Array, timeData: Float32Array}} frame
+ */
+function recycleAnalysisFrame(frame) {
+  if (!analysisNode) return;
+  analysisNode.port.postMessage(
+    { type: 'recycle', freqData: frame.freqData, timeData: frame.timeData },
+    [frame.freqData.buffer, frame.timeData.buffer]
+  );
+}
+
+/**
+ * Clears the worklet's buffered audio and smoothing state (e.g. after a seek).
+ */
+function resetAnalysisWorklet() {
+  if (analysisNode) analysisNode.port.postMessage({ type: 'reset' });
+}
+
+/**
+ * Stops the analysis worklet and disconnects it from the graph.
+ */
+function stopAnalysisWorklet() {
+  if (!analysisNode) return;
+  try {
+    analysisNode.port.postMessage({ type: 'stop' });
+    analysisNode.port.onmessage = null;
+    analysisFrameHandler = null;
+    if (sourceNode) sourceNode.disconnect(analysisNode);
+    analysisNode.disconnect();
+  } catch (e) {
+    // Ignore errors during teardown
+  }
+  analysisNode = null;
+}
+
 /**
  * Disconnects audio nodes but keeps sourceNode, audioCtx, and capturedVideo
  * alive so the same video element can be reused without calling
  * createMediaElementSource() again (which the Web Audio API forbids).
  */
 function teardownAudioCapture() {
+  stopAnalysisWorklet();
   try {
     if (sourceNode) {
       sourceNode.disconnect();
@@ -79,6 +287,7 @@ function teardownAudioCapture() {
       analyser.disconnect();
       analyser = null;
     }
+    disconnectOutputChain();
     // Do NOT close audioCtx — it can be resumed later
     // Do NOT null capturedVideo — we need to remember which video is bound
   } catch (e) {
@@ -91,9 +300,12 @@ function teardownAudioCapture() {
  * itself is changing (e.g., full page unload or a different video node).
  */
 function destroyAudioCapture() {
+  stopAnalysisWorklet();
+  workletContext = null;
   try {
     if (sourceNode) { sourceNode.disconnect(); sourceNode = null; }
     if (analyser) { analyser.disconnect(); analyser = null; }
+    disconnectOutputChain();
     if (audioCtx) { audioCtx.close(); audioCtx = null; }
     capturedVideo = null;
   } catch (e) {}
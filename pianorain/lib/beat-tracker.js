@@ -0,0 +1,204 @@
+// lib/beat-tracker.js — Tempo, beat and downbeat estimation for PianoRain
+// Works offline on the notes of an export pass: their onsets form a novelty
+// curve, whose autocorrelation gives the tempo (globally, then per window so
+// tempo changes are followed), and dynamic programming picks the beat times
+// that best fit both the onsets and that tempo (Ellis, 2007). Bass-heavy beats
+// then decide where the bar lines (downbeats) fall.
+// Used by lib/midi-export.js to write a tempo map instead of a fixed 120 BPM.
+
+// Sample rate (Hz) of the onset novelty curve, and its smoothing (seconds)
+const BEAT_ENVELOPE_RATE = 100;
+const BEAT_ENVELOPE_SMOOTHING_SECONDS = 0.02;
+
+// Tempo search range, and the log-Gaussian preference for tempos near
+// BEAT_PRIOR_BPM (width in octaves) that resolves half/double-tempo ambiguity
+const BEAT_MIN_BPM = 40;
+const BEAT_MAX_BPM = 200;
+const BEAT_PRIOR_BPM = 110;
+const BEAT_PRIOR_OCTAVES = 0.9;
+
+// Local tempo: analysis window and hop (seconds), and how far (fraction) the
+// local tempo may stray from the global one
+const BEAT_TEMPO_WINDOW_SECONDS = 8;
+const BEAT_TEMPO_HOP_SECONDS = 2;
+const BEAT_TEMPO_MAX_DEVIATION = 0.3;
+
+// How strongly the beat DP keeps consecutive beats one period apart
+const BEAT_TIGHTNESS = 100;
+
+// Fewer notes than this give no usable grid
+const BEAT_MIN_NOTES = 8;
+
+// Bar length assumed when choosing downbeats (4/4)
+const BEATS_PER_BAR = 4;
+// Notes at or below this pitch (or played by the left hand) accent downbeats
+const BEAT_BASS_MAX_MIDI = 55;
+
+/**
+ * Adds a weighted impulse per onset to a curve sampled at BEAT_ENVELOPE_RATE,
+ * then smooths it with a Gaussian.
+ * @param {Array<{time: number, weight: number}>} onsets
+ * @param {number} length  - samples
+ * @returns {Float32Array}
+ */
+function buildOnsetEnvelope(onsets, length) {
+  const impulses = new Float32Array(length);
+  for (const onset of onsets) {
+    const i = Math.round(onset.time * BEAT_ENVELOPE_RATE);
+    if (i >= 0 && i < length) impulses[i] += onset.weight;
+  }
+
+  const sigma = BEAT_ENVELOPE_SMOOTHING_SECONDS * BEAT_ENVELOPE_RATE;
+  const radius = Math.ceil(sigma * 3);
+  const kernel = [];
+  for (let k = -radius; k <= radius; k++) kernel.push(Math.exp(-(k * k) / (2 * sigma * sigma)));
+
+  const envelope = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    if (impulses[i] === 0) continue;
+    for (let k = -radius; k <= radius; k++) {
+      const j = i + k;
+      if (j >= 0 && j < length) envelope[j] += impulses[i] * kernel[k + radius];
+    }
+  }
+  return envelope;
+}
+
+/**
+ * Finds the beat period (in samples) of a stretch of the envelope: the lag
+ * with the highest autocorrelation, weighted by the tempo prior.
+ * @param {Float32Array} envelope
+ * @param {number} start
+ * @param {number} end       - exclusive
+ * @param {number} minLag
+ * @param {number} maxLag
+ * @returns {number} period in samples (0 if the stretch is silent)
+ */
+function estimateBeatPeriod(envelope, start, end, minLag, maxLag) {
+  const priorLag = (60 / BEAT_PRIOR_BPM) * BEAT_ENVELOPE_RATE;
+  let bestLag = 0;
+  let bestScore = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = start; i + lag < end; i++) sum += envelope[i] * envelope[i + lag];
+    const octaves = Math.log2(lag / priorLag) / BEAT_PRIOR_OCTAVES;
+    const score = sum * Math.exp(-0.5 * octaves * octaves);
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  return bestLag;
+}
+
+/**
+ * Estimates the beat grid of a transcription.
+ *
+ * @param {Array<{midi: number, startTime: number, velocity?: number, hand?: string}>} notes
+ * @returns {{beats: number[], downbeat: number, beatsPerBar: number, bpm: number}|null}
+ *   beat times in seconds, the index in `beats` of the first downbeat, and the
+ *   overall tempo; null when there are too few notes to find a pulse
+ */
+function estimateBeatGrid(notes) {
+  if (!notes || notes.length < BEAT_MIN_NOTES) return null;
+
+  const weightOf = (note) => Math.min(127, Math.max(1, note.velocity || DEFAULT_VELOCITY)) / 127;
+  const isBass = (note) => note.hand === 'left' || note.midi <= BEAT_BASS_MAX_MIDI;
+  const lastStart = Math.max(...notes.map((note) => note.startTime));
+  const length = Math.ceil((lastStart + 1) * BEAT_ENVELOPE_RATE);
+
+  const envelope = buildOnsetEnvelope(
+    notes.map((note) => ({ time: note.startTime, weight: weightOf(note) })),
+    length
+  );
+  const bassEnvelope = buildOnsetEnvelope(
+    notes.filter(isBass).map((note) => ({ time: note.startTime, weight: weightOf(note) })),
+    length
+  );
+
+  // Global tempo, then local tempo per window (limited around the global one
+  // so a sparse passage can't jump to half or double time)
+  const minLag = Math.round((60 / BEAT_MAX_BPM) * BEAT_ENVELOPE_RATE);
+  const maxLag = Math.round((60 / BEAT_MIN_BPM) * BEAT_ENVELOPE_RATE);
+  const globalPeriod = estimateBeatPeriod(envelope, 0, length, minLag, maxLag);
+  if (globalPeriod === 0) return null;
+
+  const windowSize = Math.round(BEAT_TEMPO_WINDOW_SECONDS * BEAT_ENVELOPE_RATE);
+  const hop = Math.round(BEAT_TEMPO_HOP_SECONDS * BEAT_ENVELOPE_RATE);
+  const localMin = Math.max(minLag, Math.floor(globalPeriod * (1 - BEAT_TEMPO_MAX_DEVIATION)));
+  const localMax = Math.min(maxLag, Math.ceil(globalPeriod * (1 + BEAT_TEMPO_MAX_DEVIATION)));
+  const windowPeriods = [];
+  for (let start = 0; start < length; start += hop) {
+    const period = estimateBeatPeriod(envelope, start, Math.min(length, start + windowSize), localMin, localMax);
+    windowPeriods.push(period || globalPeriod);
+  }
+  const periodAt = (i) => {
+    const w = Math.min(windowPeriods.length - 1, Math.max(0, (i - windowSize / 2) / hop));
+    const lo = Math.floor(w);
+    const hi = Math.min(windowPeriods.length - 1, lo + 1);
+    return windowPeriods[lo] + (windowPeriods[hi] - windowPeriods[lo]) * (w - lo);
+  };
+
+  // Dynamic programming over the normalised envelope: each sample's score is
+  // its onset strength plus the best predecessor roughly one period back
+  let mean = 0;
+  for (let i = 0; i < length; i++) mean += envelope[i] / length;
+  let variance = 0;
+  for (let i = 0; i < length; i++) variance += (envelope[i] - mean) * (envelope[i] - mean) / length;
+  const std = Math.sqrt(variance) || 1;
+
+  const score = new Float32Array(length);
+  const backlink = new Int32Array(length).fill(-1);
+  for (let i = 0; i < length; i++) {
+    const period = periodAt(i);
+    let best = -Infinity;
+    let bestFrom = -1;
+    for (let j = Math.max(0, Math.round(i - 2 * period)); j <= i - Math.round(period / 2); j++) {
+      const ratio = Math.log((i - j) / period);
+      const candidate = score[j] - BEAT_TIGHTNESS * ratio * ratio;
+      if (candidate > best) {
+        best = candidate;
+        bestFrom = j;
+      }
+    }
+    const local = envelope[i] / std;
+    if (bestFrom >= 0 && best > 0) {
+      score[i] = local + best;
+      backlink[i] = bestFrom;
+    } else {
+      score[i] = local;
+    }
+  }
+
+  // Best-scoring beat within the last period, then follow the links back
+  let last = length - 1;
+  for (let i = Math.max(0, length - Math.round(periodAt(length - 1))); i < length; i++) {
+    if (score[i] > score[last]) last = i;
+  }
+  const beatSamples = [];
+  for (let i = last; i >= 0; i = backlink[i]) beatSamples.unshift(i);
+  if (beatSamples.length < BEATS_PER_BAR) return null;
+
+  // Downbeat: the bar phase whose beats carry the most bass onsets (and, as a
+  // tie-break, the most onsets overall)
+  let downbeat = 0;
+  let bestAccent = -Infinity;
+  for (let phase = 0; phase < BEATS_PER_BAR; phase++) {
+    let accent = 0;
+    for (let k = phase; k < beatSamples.length; k += BEATS_PER_BAR) {
+      accent += bassEnvelope[beatSamples[k]] * 2 + envelope[beatSamples[k]];
+    }
+    if (accent > bestAccent) {
+      bestAccent = accent;
+      downbeat = phase;
+    }
+  }
+
+  const beats = beatSamples.map((i) => i / BEAT_ENVELOPE_RATE);
+  return {
+    beats,
+    downbeat,
+    beatsPerBar: BEATS_PER_BAR,
+    bpm: 60 * (beats.length - 1) / (beats[beats.length - 1] - beats[0]),
+  };
+}
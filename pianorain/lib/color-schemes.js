@@ -0,0 +1,142 @@
+// lib/color-schemes.js — Note colour schemes and built-in themes
+// A scheme decides each block's colour from the note itself (hand, pitch
+// class, octave, velocity or detector confidence); a theme is a preset of the
+// hand and file colours plus how the overlay is dressed (backdrop, glow,
+// pedal strip). Used by lib/falling-notes.js for blocks and lit keys, and by
+// the popup for its preview.
+// Depends on DEFAULT_VELOCITY from lib/note-detector.js for notes without a
+// velocity.
+
+// Selectable schemes, in popup order
+const COLOR_SCHEMES = [
+  { id: 'hand', name: 'By hand' },
+  { id: 'pitch-class', name: 'Rainbow by pitch class' },
+  { id: 'octave', name: 'Gradient by octave' },
+  { id: 'velocity', name: 'Velocity heat map' },
+  { id: 'confidence', name: 'Detector confidence' },
+];
+
+// Built-in themes. `background` fills the canvas under the notes (null keeps
+// the overlay's translucent backdrop); `glow` turns the block and key glow on
+// or off; `pedal` colours the sustain pedal strip and `pedalLabel` its "Ped."
+// label, which sits on the backdrop.
+const COLOR_THEMES = {
+  pianorain: {
+    name: 'PianoRain',
+    left: '#FF8C42',
+    right: '#00BFFF',
+    file: '#B388FF',
+    background: null,
+    glow: true,
+    pedal: 'rgba(255, 255, 255, 0.45)',
+    pedalLabel: 'rgba(255, 255, 255, 0.85)',
+  },
+  synthesia: {
+    name: 'Classic Synthesia',
+    left: '#3C78D8',
+    right: '#6ABE45',
+    file: '#F1C232',
+    background: 'rgba(24, 24, 28, 0.85)',
+    glow: false,
+    pedal: 'rgba(255, 255, 255, 0.45)',
+    pedalLabel: 'rgba(255, 255, 255, 0.85)',
+  },
+  neon: {
+    name: 'Dark neon',
+    left: '#FF2BD6',
+    right: '#00FFC8',
+    file: '#FFE600',
+    background: 'rgba(6, 0, 20, 0.9)',
+    glow: true,
+    pedal: 'rgba(0, 255, 200, 0.5)',
+    pedalLabel: 'rgba(0, 255, 200, 0.9)',
+  },
+  print: {
+    name: 'Print-friendly',
+    left: '#1F4E79',
+    right: '#222222',
+    file: '#9E9E9E',
+    background: '#FFFFFF',
+    glow: false,
+    pedal: 'rgba(0, 0, 0, 0.35)',
+    pedalLabel: 'rgba(0, 0, 0, 0.85)',
+  },
+};
+const DEFAULT_COLOR_THEME = 'pianorain';
+
+// Lowest and highest octave of an 88-key piano (A0 … C8), for the octave gradient
+const COLOR_OCTAVE_MIN = 0;
+const COLOR_OCTAVE_MAX = 8;
+
+/**
+ * Returns a built-in theme, falling back to the default one.
+ * @param {string} id
+ * @returns {{name: string, left: string, right: string, file: string, background: string|null, glow: boolean, pedal: string, pedalLabel: string}}
+ */
+function getColorTheme(id) {
+  return COLOR_THEMES[id] || COLOR_THEMES[DEFAULT_COLOR_THEME];
+}
+
+/**
+ * Parses a #rrggbb colour.
+ * @param {string} hex
+ * @returns {{r: number, g: number, b: number}}
+ */
+function hexToRgb(hex) {
+  const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+/**
+ * Colour between two #rrggbb colours.
+ * @param {string} from
+ * @param {string} to
+ * @param {number} t  - 0 (from) … 1 (to)
+ * @returns {string} rgb() colour
+ */
+function mixColors(from, to, t) {
+  const a = hexToRgb(from);
+  const b = hexToRgb(to);
+  const mix = (x, y) => Math.round(x + (y - x) * t);
+  return `rgb(${mix(a.r, b.r)}, ${mix(a.g, b.g)}, ${mix(a.b, b.b)})`;
+}
+
+/**
+ * Colour of a note under a scheme.
+ *
+ * - hand: the hand's colour
+ * - pitch-class: a rainbow around the circle of semitones (C red … B magenta)
+ * - octave: from the left hand's colour at the bottom of the keyboard to the
+ *   right hand's at the top, one step per octave
+ * - velocity: blue (soft) through green and yellow to red (loud)
+ * - confidence: the hand's colour, fading out as the detector is less sure
+ *
+ * @param {{midi: number, hand?: string, velocity?: number, confidence?: number}} note
+ * @param {{left: string, right: string, scheme?: string}} colors
+ * @returns {string}
+ */
+function colorForScheme(note, colors) {
+  const handColor = colors[note.hand] || colors.right;
+  switch (colors.scheme) {
+    case 'pitch-class':
+      return `hsl(${(note.midi % 12) * 30}, 85%, 60%)`;
+    case 'octave': {
+      const octave = Math.floor(note.midi / 12) - 1;
+      const t = (Math.min(COLOR_OCTAVE_MAX, Math.max(COLOR_OCTAVE_MIN, octave)) - COLOR_OCTAVE_MIN) /
+        (COLOR_OCTAVE_MAX - COLOR_OCTAVE_MIN);
+      return mixColors(colors.left, colors.right, t);
+    }
+    case 'velocity': {
+      const v = Math.min(127, Math.max(1, note.velocity || DEFAULT_VELOCITY)) / 127;
+      return `hsl(${Math.round((1 - v) * 240)}, 90%, 55%)`;
+    }
+    case 'confidence': {
+      const { r, g, b } = hexToRgb(handColor);
+      const confidence = typeof note.confidence === 'number' ? note.confidence : 1;
+      const alpha = 0.15 + 0.85 * Math.min(1, Math.max(0, confidence));
+      return `rgba(${r}, ${g}, ${b}, ${alpha.toFixed(2)})`;
+    }
+    default:
+      return handColor;
+  }
+}
@@ -0,0 +1,135 @@
+// lib/essentia-worker.js — Web Worker hosting Essentia.js WASM for PianoRain
+// Started from lib/note-detector.js (loadEssentia) through a small blob
+// bootstrap that importScripts() this file, so it runs off the main thread and
+// outside both the page's main world and the content-script isolated world.
+//
+// Message protocol (every request carries an `id`, echoed in its reply):
+//   → { id, type: 'init', vendorUrl }
+//   ← { id, ok: true, version }                 | { id, ok: false, error }
+//   → { id, type: 'pitchYinFFT', frame: Float32Array, sampleRate }
+//   ← { id, ok: true, result: { pitch, pitchConfidence } }
+//   → { id, type: 'compute', algorithm, args: Array<Float32Array|number|string|boolean> }
+//   ← { id, ok: true, result: { <output>: number | Float32Array, ... } }
+
+// Essentia.js UMD builds expected in vendor/essentia (see README there)
+const ESSENTIA_WASM_FILE = 'essentia-wasm.umd.js';
+const ESSENTIA_CORE_FILE = 'essentia.js-core.umd.js';
+
+let essentia = null;
+
+/**
+ * Loads the WASM backend and the Essentia core API.
+ * @param {string} vendorUrl  - extension URL of vendor/essentia/ (with trailing slash)
+ * @returns {Promise<string>} Essentia version string
+ */
+async function initEssentia(vendorUrl) {
+  if (essentia) return essentia.version;
+  importScripts(vendorUrl + ESSENTIA_WASM_FILE, vendorUrl + ESSENTIA_CORE_FILE);
+
+  // Depending on the build, EssentiaWASM is the module itself or a factory
+  const wasmModule = typeof self.EssentiaWASM === 'function'
+    ? await self.EssentiaWASM()
+    : self.EssentiaWASM;
+  essentia = new self.Essentia(wasmModule);
+  return essentia.version;
+}
+
+/**
+ * Frees Essentia vectors. They live on the WASM heap, which the garbage
+ * collector doesn't see, so every vector made per frame must be deleted.
+ * @param {Array<*>} values  - vectors and anything else (skipped)
+ */
+function deleteVectors(values) {
+  for (const value of values) {
+    if (value && typeof value.delete === 'function') value.delete();
+  }
+}
+
+/**
+ * Converts an Essentia algorithm result into structured-cloneable values.
+ * @param {object} output
+ * @returns {object}
+ */
+function toPlainResult(output) {
+  const result = {};
+  for (const [key, value] of Object.entries(output)) {
+    if (value && typeof value.size === 'function') {
+      result[key] = essentia.vectorToArray(value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Windowing → Spectrum → PitchYinFFT on one time-domain frame.
+ * @param {Float32Array} frame
+ * @param {number} sampleRate
+ * @returns {{ pitch: number, pitchConfidence: number }}
+ */
+function pitchYinFFT(frame, sampleRate) {
+  const vectors = [];
+  try {
+    const frameVec = essentia.arrayToVector(frame);
+    vectors.push(frameVec);
+    const windowed = essentia.Windowing(frameVec, true, frame.length, 'hann').frame;
+    vectors.push(windowed);
+    const spectrum = essentia.Spectrum(windowed, frame.length).spectrum;
+    vectors.push(spectrum);
+    const result = essentia.PitchYinFFT(spectrum, frame.length, true, 4200, 27, sampleRate);
+    return { pitch: result.pitch, pitchConfidence: result.pitchConfidence };
+  } finally {
+    deleteVectors(vectors);
+  }
+}
+
+/**
+ * Runs any Essentia algorithm by name. Float32Array arguments are converted
+ * to Essentia vectors; vector outputs are converted back to Float32Arrays.
+ * @param {string} algorithm
+ * @param {Array} args
+ * @returns {object}
+ */
+function compute(algorithm, args) {
+  if (typeof essentia[algorithm] !== 'function') {
+    throw new Error(`Unknown Essentia algorithm: ${algorithm}`);
+  }
+  const converted = [];
+  let output = null;
+  try {
+    for (const arg of args || []) {
+      converted.push(arg instanceof Float32Array ? essentia.arrayToVector(arg) : arg);
+    }
+    output = essentia[algorithm](...converted);
+    return toPlainResult(output);
+  } finally {
+    deleteVectors(converted);
+    if (output) deleteVectors(Object.values(output));
+  }
+}
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+  try {
+    switch (msg.type) {
+      case 'init': {
+        const version = await initEssentia(msg.vendorUrl);
+        self.postMessage({ id: msg.id, ok: true, version });
+        break;
+      }
+      case 'pitchYinFFT':
+        if (!essentia) throw new Error('Essentia is not initialised');
+        self.postMessage({ id: msg.id, ok: true, result: pitchYinFFT(msg.frame, msg.sampleRate) });
+        break;
+      case 'compute':
+        if (!essentia) throw new Error('Essentia is not initialised');
+        self.postMessage({ id: msg.id, ok: true, result: compute(msg.algorithm, msg.args) });
+        break;
+      default:
+        throw new Error(`Unknown request type: ${msg.type}`);
+    }
+  } catch (err) {
+    self.postMessage({ id: msg.id, ok: false, error: err && err.message ? err.message : String(err) });
+  }
+};
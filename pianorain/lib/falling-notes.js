@@ -1,102 +1,184 @@
 // lib/falling-notes.js — Manages falling note blocks lifecycle
 
-// Pixels per second at 1× playback speed (tuned for typical YouTube video heights ~400–720px)
+// Pixels per second of media time (tuned for typical YouTube video heights ~400–720px)
 const BASE_FALL_SPEED = 200;
 
-// Pool of active falling notes
-// Each entry: { midi, x, w, y, height, color, active (still being sustained), startTime }
+// Notes played so far, kept as history so seeking back or pausing redraws them
+// Each entry is a transcript note (see createTranscriptNote in lib/transcript.js:
+// midi, startTime, endTime — null while sounding —, velocity, confidence, hand)
+// plus its block: { x, w, y, height, color, source, black }, where y and
+// height are recomputed from the media time every frame by positionNotes()
+// `source` is 'detected' (live detection) or 'file' (a loaded MIDI file)
 let fallingNotes = [];
 
-// Currently sustained note (a note that is still being detected)
-let sustainedNote = null;
+// Currently sustained notes (notes that are still being detected), keyed by
+// sustainKey(source, midi)
+let sustainedNotes = new Map();
+
+// Sustain pedal regions, falling alongside the notes in a strip at the left
+// edge: { startTime, endTime (null while the pedal is down), source, y, height }
+let pedalBlocks = [];
+// Width of the pedal strip as a fraction of the canvas width (minimum 4 px)
+const PEDAL_STRIP_WIDTH = 0.006;
+
+// Outline width (px) of file notes drawn for comparison with detected ones
+const FILE_NOTE_OUTLINE = 2;
+
+// Most notes (and pedal regions) kept as history; the oldest go first
+const MAX_NOTE_HISTORY = 4000;
+
+/**
+ * Key of a sounding note in sustainedNotes: detected and file notes of the
+ * same pitch are separate blocks.
+ * @param {string} [source]
+ * @param {number} midi
+ * @returns {string|number}
+ */
+function sustainKey(source, midi) {
+  return source === 'file' ? `file:${midi}` : midi;
+}
 
 /**
- * Called each frame with a potentially detected MIDI note.
- * Handles spawn, sustain, and release of note blocks.
+ * Colour of a block: file notes use `colors.file` when given (compare
+ * display), every other block the colour of `colors.scheme` (see
+ * colorForScheme in lib/color-schemes.js).
+ * @param {{midi: number, hand: string, source?: string, velocity?: number, confidence?: number}} note
+ * @param {{left: string, right: string, file?: string, scheme?: string}} colors
+ * @returns {string}
+ */
+function noteColorFor(note, colors) {
+  if (note.source === 'file' && colors.file) return colors.file;
+  return colorForScheme(note, colors);
+}
+
+/**
+ * Applies the note-on/note-off events produced by the note tracker this frame.
+ * Each note-on starts a block and each note-off ends the matching one — one
+ * block per sounding pitch, so chords and two-hand passages render side by
+ * side. Blocks keep the events' media times (the tracker back-dates them
+ * slightly), and positionNotes() places them from those. Sustain pedal
+ * events (`type: 'pedal'`) start and end pedal regions the same way. Events
+ * with `source: 'file'` come from a loaded MIDI file and form their own blocks.
  *
- * @param {number|null} detectedMidi  - MIDI note from detector, or -1/null if silence
+ * @param {Array<{type: string, midi?: number, time: number, velocity?: number, confidence?: number, hand?: string, down?: boolean, source?: string}>} events
  * @param {number} canvasWidth
  * @param {number} canvasHeight
- * @param {string} color
- * @param {number} playbackRate
+ * @param {{left: string, right: string, file?: string, scheme?: string}} handColors
  * @param {Function} getKeyPos  - (midi, w, h) → {x, w, black}
  */
-function updateNotes(detectedMidi, canvasWidth, canvasHeight, color, playbackRate, getKeyPos) {
-  const midi = (detectedMidi !== null && detectedMidi >= 0) ? detectedMidi : null;
-
-  if (midi !== null) {
-    if (sustainedNote && sustainedNote.midi === midi) {
-      // Extend the sustained block
-      sustainedNote.active = true;
-    } else {
-      // Release previous sustained note (if any)
-      if (sustainedNote) {
-        sustainedNote.active = false;
-        sustainedNote = null;
-      }
-      // Spawn new block at the top of the canvas
-      const keyPos = getKeyPos(midi, canvasWidth, canvasHeight);
-      if (keyPos) {
-        const newNote = {
-          midi,
-          x: keyPos.x,
-          w: keyPos.w,
-          y: 0,
-          height: 0,
-          color,
-          active: true,
-          black: keyPos.black,
-        };
-        fallingNotes.push(newNote);
-        sustainedNote = newNote;
+function updateNotes(events, canvasWidth, canvasHeight, handColors, getKeyPos) {
+  for (const ev of events) {
+    const source = ev.source || 'detected';
+
+    if (ev.type === 'pedal') {
+      const current = pedalBlocks.find((block) => block.endTime === null && block.source === source);
+      if (ev.down && !current) {
+        pedalBlocks.push({ startTime: ev.time, endTime: null, source, y: 0, height: 0 });
+      } else if (!ev.down && current) {
+        current.endTime = Math.max(ev.time, current.startTime);
       }
+      continue;
     }
-  } else {
-    // Silence — release sustained note
-    if (sustainedNote) {
-      sustainedNote.active = false;
-      sustainedNote = null;
+
+    const key = sustainKey(source, ev.midi);
+    if (ev.type === 'off') {
+      const note = sustainedNotes.get(key);
+      if (!note) continue;
+      note.endTime = Math.max(ev.time, note.startTime);
+      sustainedNotes.delete(key);
+      continue;
     }
+
+    const keyPos = getKeyPos(ev.midi, canvasWidth, canvasHeight);
+    if (!keyPos) continue;
+    const newNote = Object.assign(createTranscriptNote({
+      midi: ev.midi,
+      startTime: ev.time,
+      endTime: null,
+      velocity: ev.velocity,
+      confidence: ev.confidence,
+      hand: ev.hand,
+    }), {
+      x: keyPos.x,
+      w: keyPos.w,
+      y: 0,
+      height: 0,
+      color: null,
+      source,
+      black: keyPos.black,
+    });
+    newNote.color = noteColorFor(newNote, handColors);
+    fallingNotes.push(newNote);
+    sustainedNotes.set(key, newNote);
+  }
+
+  if (fallingNotes.length > MAX_NOTE_HISTORY) {
+    fallingNotes.splice(0, fallingNotes.length - MAX_NOTE_HISTORY);
+  }
+  if (pedalBlocks.length > MAX_NOTE_HISTORY) {
+    pedalBlocks.splice(0, pedalBlocks.length - MAX_NOTE_HISTORY);
   }
 }
 
 /**
- * Advances all falling notes by `dt` seconds of video time.
- * Removes notes that have fallen below the canvas.
+ * Places every block for a media time: a note starts at the top of the
+ * canvas when it sounds and falls at BASE_FALL_SPEED pixels per media
+ * second, growing while it is held. Because positions only depend on the
+ * media time, frame drops, throttling, rate changes and pauses can't make
+ * the blocks drift from the video, and history redraws after a seek.
  *
- * @param {number} dt            - elapsed video time in seconds
- * @param {number} canvasHeight
- * @param {number} playbackRate
- * @param {Function} getKeyboardTop  - (canvasHeight) → number (y of keyboard top)
+ * @param {number} mediaTime  - media time of the frame on screen (seconds)
+ * @param {number} [fileLead]  - seconds file blocks are drawn ahead of their
+ *        media time (lookahead mode: they then reach the keyboard as they sound)
  */
-function advanceNotes(dt, canvasHeight, playbackRate, getKeyboardTop) {
-  const speed = BASE_FALL_SPEED * (playbackRate || 1);
-  const kbTop = getKeyboardTop(canvasHeight);
-
-  fallingNotes = fallingNotes.filter((note) => {
-    if (note.active) {
-      // The block is still being sustained — grow it downward (extend height)
-      note.height += speed * dt;
-    } else {
-      // Released — the entire block falls
-      note.y += speed * dt;
-    }
-    // Remove if entirely below the canvas
-    return note.y < canvasHeight;
+function positionNotes(mediaTime, fileLead) {
+  const place = (block) => {
+    const now = block.source === 'file' ? mediaTime + (fileLead || 0) : mediaTime;
+    const end = block.endTime === null ? now : Math.min(block.endTime, now);
+    block.y = Math.max(0, (now - end) * BASE_FALL_SPEED);
+    block.height = Math.max(0, (now - block.startTime) * BASE_FALL_SPEED - block.y);
+  };
+  for (const note of fallingNotes) place(note);
+  for (const block of pedalBlocks) place(block);
+}
+
+/**
+ * Prepares the history for playback from `mediaTime` after a seek. Blocks
+ * from there on are dropped, as they will be detected or played again. Held
+ * detected notes end where playback left off (or at the new position when
+ * seeking back through them); held file notes are dropped, since the file
+ * sounds them again from their original start.
+ *
+ * @param {number} mediaTime  - the new position
+ * @param {number} leftOffTime  - the last media time played before the seek
+ */
+function seekNotes(mediaTime, leftOffTime) {
+  const trim = (blocks) => blocks.filter((block) => {
+    if (block.startTime >= mediaTime) return false;
+    const sounding = block.endTime === null || block.endTime > mediaTime;
+    if (!sounding) return true;
+    if (block.source === 'file') return false;
+    const end = Math.min(block.endTime === null ? leftOffTime : block.endTime, mediaTime);
+    block.endTime = Math.max(block.startTime, end);
+    return true;
   });
+  fallingNotes = trim(fallingNotes);
+  pedalBlocks = trim(pedalBlocks);
+  sustainedNotes = new Map();
 }
 
 /**
- * Returns the set of MIDI notes whose blocks are currently touching the keyboard.
+ * Returns the MIDI notes whose blocks are currently touching the keyboard,
+ * with the colour of the block (so keys light up in their hand's colour).
  * @param {number} canvasHeight
- * @returns {Set<number>}
+ * @returns {Map<number, string>} midi → color
  */
-function getActiveKeyMidis(canvasHeight) {
+function getActiveKeyColors(canvasHeight) {
   const kbTop = getKeyboardTopLocal(canvasHeight);
-  const active = new Set();
+  const active = new Map();
   for (const note of fallingNotes) {
     const bottom = note.y + note.height;
-    if (bottom >= kbTop) active.add(note.midi);
+    if (note.height > 0 && bottom >= kbTop && note.y < canvasHeight) active.set(note.midi, note.color);
   }
   return active;
 }
@@ -105,21 +187,34 @@ function getKeyboardTopLocal(canvasHeight) {
   return canvasHeight - Math.round(canvasHeight * 0.14);
 }
 
+/**
+ * Maps a note velocity to block opacity: soft notes are faint, loud notes bright.
+ * @param {number} velocity  - MIDI velocity 1–127
+ * @returns {number} alpha 0–1
+ */
+function velocityToAlpha(velocity) {
+  const v = Math.min(127, Math.max(1, velocity || DEFAULT_VELOCITY));
+  return 0.35 + 0.6 * (v / 127);
+}
+
 /**
  * Draws all falling note blocks onto the canvas.
+ * Block opacity and glow scale with each note's estimated velocity. When
+ * `handColors.file` is set (compare display), file notes are drawn as
+ * outlines in that colour so detected blocks stay visible inside them.
  *
  * @param {CanvasRenderingContext2D} ctx
  * @param {number} canvasHeight
- * @param {string} color   - current user color (overrides individual block colors)
+ * @param {{left: string, right: string, file?: string, scheme?: string, glow?: boolean}} [handColors]  - current
+ *        user colors (override individual block colors)
  */
-function renderNotes(ctx, canvasHeight, color) {
+function renderNotes(ctx, canvasHeight, handColors) {
   const kbTop = getKeyboardTopLocal(canvasHeight);
 
   ctx.save();
-  ctx.globalAlpha = 0.85;
 
   for (const note of fallingNotes) {
-    const blockColor = color || note.color;
+    const blockColor = (handColors && noteColorFor(note, handColors)) || note.color;
     const x = note.x;
     const y = note.y;
     const w = note.w - 2;
@@ -129,10 +224,18 @@ function renderNotes(ctx, canvasHeight, color) {
     const h = visibleBottom - y;
     if (h <= 0) continue;
 
-    // Glow effect
+    // Glow effect, stronger for louder notes
+    const alpha = velocityToAlpha(note.velocity);
+    ctx.globalAlpha = alpha;
     ctx.shadowColor = blockColor;
-    ctx.shadowBlur = 12;
+    ctx.shadowBlur = handColors && handColors.glow === false ? 0 : 16 * alpha;
 
+    if (note.source === 'file' && handColors && handColors.file) {
+      ctx.strokeStyle = blockColor;
+      ctx.lineWidth = FILE_NOTE_OUTLINE;
+      ctx.strokeRect(x + 1 + FILE_NOTE_OUTLINE / 2, y, w - FILE_NOTE_OUTLINE, h);
+      continue;
+    }
     ctx.fillStyle = blockColor;
     ctx.fillRect(x + 1, y, w, h);
   }
@@ -140,20 +243,78 @@ function renderNotes(ctx, canvasHeight, color) {
   ctx.restore();
 }
 
+/**
+ * Writes a label (see noteLabel in lib/note-labels.js) at the lower end of
+ * each visible block; blocks too narrow or short for it stay unlabelled.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} canvasHeight
+ * @param {function(number): string|null} labelOf  - MIDI note → label
+ */
+function renderNoteLabels(ctx, canvasHeight, labelOf) {
+  const kbTop = getKeyboardTopLocal(canvasHeight);
+  ctx.save();
+  for (const note of fallingNotes) {
+    const bottom = Math.min(note.y + note.height, kbTop);
+    const h = bottom - note.y;
+    if (h <= 0) continue;
+    const label = labelOf(note.midi);
+    if (label) drawNoteLabel(ctx, label, note.x + note.w / 2, bottom - 2, note.w - 4, h - 2);
+  }
+  ctx.restore();
+}
+
+/**
+ * Draws the sustain pedal strip: each pedal-down region as a bar at the left
+ * edge, falling with the notes, and a "Ped." label while a region is
+ * touching the keyboard.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} canvasWidth
+ * @param {number} canvasHeight
+ * @param {string} [color]  - the theme's pedal strip colour
+ * @param {string} [labelColor]  - the theme's "Ped." label colour
+ */
+function renderPedalStrip(ctx, canvasWidth, canvasHeight, color, labelColor) {
+  if (pedalBlocks.length === 0) return;
+  const kbTop = getKeyboardTopLocal(canvasHeight);
+  const stripW = Math.max(4, Math.round(canvasWidth * PEDAL_STRIP_WIDTH));
+  let sustaining = false;
+
+  ctx.save();
+  ctx.fillStyle = color || 'rgba(255, 255, 255, 0.45)';
+  for (const block of pedalBlocks) {
+    const bottom = Math.min(block.y + block.height, kbTop);
+    if (bottom <= block.y) continue;
+    ctx.fillRect(0, block.y, stripW, bottom - block.y);
+    if (block.y + block.height >= kbTop) sustaining = true;
+  }
+
+  if (sustaining) {
+    const fontSize = Math.max(10, Math.round(canvasHeight * 0.025));
+    ctx.font = `italic ${fontSize}px serif`;
+    ctx.fillStyle = labelColor || 'rgba(255, 255, 255, 0.85)';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('Ped.', stripW + 4, kbTop - 2);
+  }
+  ctx.restore();
+}
+
 /**
  * Updates the color of all existing falling notes.
- * @param {string} newColor
+ * @param {{left: string, right: string, file?: string, scheme?: string}} handColors
  */
-function updateNoteColors(newColor) {
+function updateNoteColors(handColors) {
   for (const note of fallingNotes) {
-    note.color = newColor;
+    note.color = noteColorFor(note, handColors);
   }
 }
 
 /**
- * Removes all falling notes and resets sustained state.
+ * Removes all falling notes and pedal regions and resets sustained state.
  */
 function clearAllNotes() {
   fallingNotes = [];
-  sustainedNote = null;
+  sustainedNotes = new Map();
+  pedalBlocks = [];
 }
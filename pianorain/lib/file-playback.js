@@ -0,0 +1,116 @@
+// lib/file-playback.js — Plays a loaded MIDI file as falling note events
+// Turns the notes and pedal changes of a parsed file (see parseMidiFile() in
+// lib/midi-export.js) into the same timestamped events the note tracker
+// produces, driven by the video's current time rather than by detection.
+// Events carry `source: 'file'` so lib/falling-notes.js keeps them apart
+// from detected notes.
+
+/**
+ * Creates a file playback scheduler.
+ *
+ * The file's time 0 plays at media time `offset`. eventsUntil() returns the
+ * note-on/note-off and pedal events that became due since the previous call;
+ * seek() starts over from a media time, re-sounding the notes held across it.
+ *
+ * @returns {{
+ *   load: function({notes: Array<object>, pedalEvents: Array<object>}): void,
+ *   clear: function(): void,
+ *   isLoaded: function(): boolean,
+ *   setOffset: function(number): void,
+ *   getOffset: function(): number,
+ *   seek: function(number): Array<object>,
+ *   eventsUntil: function(number): Array<object>
+ * }}
+ */
+function createFilePlayback() {
+  // All events of the file in file time, sorted; offs before ons at equal
+  // times so a repeated pitch ends before it is struck again
+  let events = [];
+  let notes = [];
+  let offset = 0;
+  let cursor = 0;
+
+  /** @param {{notes: Array<object>, pedalEvents: Array<object>}} file */
+  function load(file) {
+    notes = file.notes.slice();
+    events = [];
+    for (const note of notes) {
+      events.push({
+        type: 'on',
+        midi: note.midi,
+        time: note.startTime,
+        velocity: note.velocity,
+        hand: note.hand,
+        source: 'file',
+      });
+      events.push({ type: 'off', midi: note.midi, time: note.endTime, hand: note.hand, source: 'file' });
+    }
+    for (const ev of file.pedalEvents || []) {
+      events.push({ type: 'pedal', down: ev.down, time: ev.time, source: 'file' });
+    }
+    const order = { off: 0, pedal: 1, on: 2 };
+    events.sort((a, b) => a.time - b.time || order[a.type] - order[b.type]);
+    cursor = 0;
+  }
+
+  function clear() {
+    events = [];
+    notes = [];
+    cursor = 0;
+  }
+
+  function isLoaded() {
+    return notes.length > 0;
+  }
+
+  function setOffset(seconds) {
+    offset = seconds;
+  }
+
+  function getOffset() {
+    return offset;
+  }
+
+  /** Copies a file event into media time. */
+  function toMedia(ev) {
+    return Object.assign({}, ev, { time: ev.time + offset });
+  }
+
+  /**
+   * Starts playback over at a media time.
+   * @param {number} mediaTime
+   * @returns {Array<object>} on events for the notes (and pedal) held across
+   *          `mediaTime`, at their original media times
+   */
+  function seek(mediaTime) {
+    const fileTime = mediaTime - offset;
+    cursor = 0;
+    while (cursor < events.length && events[cursor].time <= fileTime) cursor++;
+
+    const held = new Map(); // midi (-1 for the pedal) → its last on event
+    for (let i = 0; i < cursor; i++) {
+      const ev = events[i];
+      const key = ev.type === 'pedal' ? -1 : ev.midi;
+      if (ev.type === 'on' || (ev.type === 'pedal' && ev.down)) held.set(key, ev);
+      else held.delete(key);
+    }
+    return Array.from(held.values()).map(toMedia);
+  }
+
+  /**
+   * Returns the events due up to `mediaTime` (inclusive), in media time.
+   * @param {number} mediaTime
+   * @returns {Array<object>}
+   */
+  function eventsUntil(mediaTime) {
+    const fileTime = mediaTime - offset;
+    const due = [];
+    while (cursor < events.length && events[cursor].time <= fileTime) {
+      due.push(toMedia(events[cursor]));
+      cursor++;
+    }
+    return due;
+  }
+
+  return { load, clear, isLoaded, setOffset, getOffset, seek, eventsUntil };
+}
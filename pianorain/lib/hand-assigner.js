@@ -0,0 +1,128 @@
+// lib/hand-assigner.js — Left/right hand assignment for PianoRain
+// Labels every note event from the note tracker with the hand that most
+// likely played it. Notes starting together are split at the pitch that
+// keeps each hand close to where it was playing (voice-leading continuity),
+// within a playable span, and without crossing the notes the other hand is
+// still holding. The live view and the MIDI exporter each run an assigner.
+
+// Where each hand is assumed to sit before it has played anything (MIDI)
+const HAND_DEFAULT_CENTRE = { left: 48, right: 72 };
+// Widest interval (semitones) one hand is expected to cover at once
+const HAND_MAX_SPAN = 14;
+// Cost per semitone beyond HAND_MAX_SPAN, and for each held note of the other
+// hand that a new note would cross
+const HAND_SPAN_PENALTY = 4;
+const HAND_CROSSING_PENALTY = 12;
+// How far a hand's position moves towards each new note it plays (0–1)
+const HAND_CENTRE_SMOOTHING = 0.4;
+// A hand that has been silent this long (seconds) returns to its default position
+const HAND_IDLE_SECONDS = 3;
+
+/**
+ * Creates a hand assigner.
+ *
+ * assign() takes the events one tracker call produced, sets `hand` ('left' or
+ * 'right') on each of them in place and returns them. Note-offs inherit the
+ * hand of their note-on.
+ *
+ * @returns {{
+ *   assign: function(Array<{type: string, midi: number, time: number}>): Array<object>,
+ *   reset: function(): void
+ * }}
+ */
+function createHandAssigner() {
+  let centres = Object.assign({}, HAND_DEFAULT_CENTRE);
+  let lastPlayed = { left: -Infinity, right: -Infinity };
+  // Sounding notes: midi → hand
+  let held = new Map();
+
+  function heldBy(hand) {
+    const notes = [];
+    for (const [midi, h] of held) {
+      if (h === hand) notes.push(midi);
+    }
+    return notes;
+  }
+
+  /**
+   * Cost of giving `newNotes` to `hand`, given `otherHeld`, the other hand's
+   * held notes (for crossings).
+   */
+  function handCost(hand, newNotes, otherHeld) {
+    if (newNotes.length === 0) return 0;
+    let cost = 0;
+    for (const midi of newNotes) cost += Math.abs(midi - centres[hand]);
+
+    const all = newNotes.concat(heldBy(hand));
+    const span = Math.max(...all) - Math.min(...all);
+    if (span > HAND_MAX_SPAN) cost += (span - HAND_MAX_SPAN) * HAND_SPAN_PENALTY;
+
+    for (const midi of newNotes) {
+      for (const other of otherHeld) {
+        if (hand === 'left' ? midi > other : midi < other) cost += HAND_CROSSING_PENALTY;
+      }
+    }
+    return cost;
+  }
+
+  /**
+   * @param {Array<{type: string, midi: number, time: number}>} events
+   * @returns {Array<object>} the same events, each with a `hand`
+   */
+  function assign(events) {
+    // Releases first, so a re-struck pitch is free to change hands
+    for (const ev of events) {
+      if (ev.type !== 'off') continue;
+      ev.hand = held.get(ev.midi) || 'right';
+      held.delete(ev.midi);
+    }
+
+    const onsets = events.filter((ev) => ev.type === 'on').sort((a, b) => a.midi - b.midi);
+    if (onsets.length === 0) return events;
+
+    const time = onsets[0].time;
+    for (const hand of ['left', 'right']) {
+      if (time - lastPlayed[hand] >= HAND_IDLE_SECONDS && heldBy(hand).length === 0) {
+        centres[hand] = HAND_DEFAULT_CENTRE[hand];
+      }
+    }
+
+    // Try every split of the (pitch-sorted) new notes: the lowest k go left
+    const pitches = onsets.map((ev) => ev.midi);
+    const leftHeld = heldBy('left');
+    const rightHeld = heldBy('right');
+    let bestSplit = 0;
+    let bestCost = Infinity;
+    for (let k = 0; k <= pitches.length; k++) {
+      const cost = handCost('left', pitches.slice(0, k), rightHeld) +
+        handCost('right', pitches.slice(k), leftHeld);
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestSplit = k;
+      }
+    }
+
+    onsets.forEach((ev, i) => {
+      ev.hand = i < bestSplit ? 'left' : 'right';
+      held.set(ev.midi, ev.hand);
+    });
+
+    // Move each hand towards the notes it just played
+    for (const [hand, notes] of [['left', pitches.slice(0, bestSplit)], ['right', pitches.slice(bestSplit)]]) {
+      if (notes.length === 0) continue;
+      const mean = notes.reduce((sum, midi) => sum + midi, 0) / notes.length;
+      centres[hand] += (mean - centres[hand]) * HAND_CENTRE_SMOOTHING;
+      lastPlayed[hand] = time;
+    }
+
+    return events;
+  }
+
+  function reset() {
+    centres = Object.assign({}, HAND_DEFAULT_CENTRE);
+    lastPlayed = { left: -Infinity, right: -Infinity };
+    held = new Map();
+  }
+
+  return { assign, reset };
+}
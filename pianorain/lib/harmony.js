@@ -0,0 +1,361 @@
+// lib/harmony.js — Chord recognition and key estimation for PianoRain
+// Builds a 12-bin chromagram from each analysis frame's spectrum, matches it
+// against chord templates (with the lowest detected note deciding the
+// inversion), and correlates a slowly decaying chroma sum with key profiles.
+// The live view and the MIDI exporter each run their own analyser.
+// Depends on freqToMidi(), NOTE_NAMES and noiseGateAt() from lib/note-detector.js
+// and lib/noise-floor.js.
+
+// Spectrum range folded into the chromagram: low bins are too coarse to tell
+// semitones apart, and little useful pitch content lies above the top
+const HARMONY_FREQ_MIN = 80;
+const HARMONY_FREQ_MAX = 5000;
+
+// Time constant (seconds) of the chroma smoothing used for chords, so broken
+// chords and arpeggios still read as one harmony
+const HARMONY_CHROMA_SECONDS = 0.15;
+
+// Minimum template match (cosine similarity, 0–1) for a chord to be named
+const HARMONY_MIN_CHORD_SCORE = 0.75;
+// Score bonus for a chord whose root is the bass note (breaks ties between
+// chords sharing their notes, e.g. Csus2 / Gsus4)
+const HARMONY_BASS_ROOT_BONUS = 0.03;
+// A new chord must stay the best match this long (seconds) before it is shown
+const HARMONY_CHORD_MIN_SECONDS = 0.25;
+// Chords kept for the label strip's history
+const HARMONY_RECENT_CHORDS = 4;
+
+// Key estimation: length of the sliding (exponentially decaying) window, how
+// long a new key must lead before it replaces the current one, and how much
+// chroma evidence is needed before any key is reported
+const HARMONY_KEY_WINDOW_SECONDS = 30;
+const HARMONY_KEY_MIN_SECONDS = 4;
+const HARMONY_KEY_MIN_EVIDENCE = 2;
+
+const NOTE_NAMES_FLAT = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Chord qualities as intervals above the root
+const CHORD_QUALITIES = [
+  { suffix: '', intervals: [0, 4, 7] },
+  { suffix: 'm', intervals: [0, 3, 7] },
+  { suffix: 'dim', intervals: [0, 3, 6] },
+  { suffix: 'sus2', intervals: [0, 2, 7] },
+  { suffix: 'sus4', intervals: [0, 5, 7] },
+  { suffix: '7', intervals: [0, 4, 7, 10] },
+  { suffix: 'maj7', intervals: [0, 4, 7, 11] },
+  { suffix: 'm7', intervals: [0, 3, 7, 10] },
+];
+
+// Krumhansl–Kessler key profiles, starting at the tonic
+const KEY_PROFILE_MAJOR = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const KEY_PROFILE_MINOR = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Sharps (+) or flats (−) in the signature of each major key, by tonic pitch class
+const MAJOR_KEY_FIFTHS = [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5];
+
+// Note letters in order, and the pitch class of each natural
+const NOTE_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+// Semitones above the tonic of each scale degree (natural minor)
+const MAJOR_SCALE_STEPS = [0, 2, 4, 5, 7, 9, 11];
+const MINOR_SCALE_STEPS = [0, 2, 3, 5, 7, 8, 10];
+// The raised 6th and 7th of melodic and harmonic minor, and their degrees
+const MINOR_RAISED_STEPS = { 9: 5, 11: 6 };
+
+/**
+ * Computes a chromagram: the spectral peaks above the noise gate, weighted by
+ * linear magnitude and folded onto the 12 pitch classes (C = 0).
+ * @param {Float32Array} freqData  - dB values from AnalyserNode.getFloatFrequencyData
+ * @param {number} sampleRate
+ * @returns {Float32Array} 12 values, normalised so the largest is 1 (all 0 in silence)
+ */
+function computeChromagram(freqData, sampleRate) {
+  const binCount = freqData.length;
+  const binHz = sampleRate / (binCount * 2);
+  const binStart = Math.max(1, Math.floor(HARMONY_FREQ_MIN / binHz));
+  const binEnd = Math.min(binCount - 2, Math.ceil(HARMONY_FREQ_MAX / binHz));
+  const chroma = new Float32Array(12);
+
+  for (let i = binStart; i <= binEnd; i++) {
+    const level = freqData[i];
+    if (level <= noiseGateAt(i)) continue;
+    if (level < freqData[i - 1] || level <= freqData[i + 1]) continue;
+    const midi = freqToMidi(i * binHz);
+    chroma[((midi % 12) + 12) % 12] += Math.pow(10, level / 20);
+  }
+
+  let max = 0;
+  for (let pc = 0; pc < 12; pc++) max = Math.max(max, chroma[pc]);
+  if (max > 0) {
+    for (let pc = 0; pc < 12; pc++) chroma[pc] /= max;
+  }
+  return chroma;
+}
+
+/**
+ * Returns how many sharps (positive) or flats (negative) a key signature has.
+ * @param {{tonic: number, mode: string}} key
+ * @returns {number}
+ */
+function keySignatureFifths(key) {
+  const relativeMajor = key.mode === 'minor' ? (key.tonic + 3) % 12 : key.tonic;
+  return MAJOR_KEY_FIFTHS[relativeMajor];
+}
+
+/**
+ * Names a pitch class in a key. Notes of the key's scale take the letter of
+ * their degree, and so do the raised 6th and 7th in minor (C# in D minor, not
+ * Db; E natural in G minor); other notes use flats in flat keys and sharps
+ * otherwise, as they do when the key is unknown.
+ * @param {number} pc   - 0–11
+ * @param {{tonic: number, mode: string}|null} [key]
+ * @returns {string} letter plus any '#' / 'b' (doubled where the scale needs it)
+ */
+function spellPitchClass(pc, key) {
+  if (!key) return NOTE_NAMES[pc];
+  const flats = keySignatureFifths(key) < 0;
+  const interval = (pc - key.tonic + 12) % 12;
+  const minor = key.mode === 'minor';
+  let degree = (minor ? MINOR_SCALE_STEPS : MAJOR_SCALE_STEPS).indexOf(interval);
+  if (degree < 0 && minor && interval in MINOR_RAISED_STEPS) degree = MINOR_RAISED_STEPS[interval];
+  if (degree < 0) return (flats ? NOTE_NAMES_FLAT : NOTE_NAMES)[pc];
+
+  const tonicLetter = NOTE_LETTERS.indexOf((flats ? NOTE_NAMES_FLAT : NOTE_NAMES)[key.tonic][0]);
+  const letter = NOTE_LETTERS[(tonicLetter + degree) % 7];
+  const alter = ((pc - LETTER_PITCH_CLASSES[letter] + 18) % 12) - 6;
+  return letter + (alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter));
+}
+
+/**
+ * Formats a key as text, e.g. "Eb major".
+ * @param {{tonic: number, mode: string}} key
+ * @returns {string}
+ */
+function formatKeyName(key) {
+  return `${spellPitchClass(key.tonic, key)} ${key.mode}`;
+}
+
+/**
+ * Formats a chord as text, e.g. "Am7" or "C/E".
+ * @param {{root: number, suffix: string, bass: number}} chord
+ * @param {{tonic: number, mode: string}|null} [key]  - for accidentals
+ * @returns {string}
+ */
+function formatChordName(chord, key) {
+  const name = spellPitchClass(chord.root, key) + chord.suffix;
+  return chord.bass === chord.root ? name : `${name}/${spellPitchClass(chord.bass, key)}`;
+}
+
+/**
+ * Finds the chord template that best matches a chromagram.
+ * @param {Float32Array} chroma
+ * @param {number} bassPc  - pitch class of the lowest sounding note, or -1
+ * @returns {{root: number, suffix: string, bass: number, score: number}|null}
+ */
+function matchChord(chroma, bassPc) {
+  let norm = 0;
+  for (let pc = 0; pc < 12; pc++) norm += chroma[pc] * chroma[pc];
+  if (norm === 0) return null;
+  norm = Math.sqrt(norm);
+
+  let best = null;
+  for (let root = 0; root < 12; root++) {
+    for (const quality of CHORD_QUALITIES) {
+      let dot = 0;
+      for (const interval of quality.intervals) dot += chroma[(root + interval) % 12];
+      let score = dot / (norm * Math.sqrt(quality.intervals.length));
+      if (root === bassPc) score += HARMONY_BASS_ROOT_BONUS;
+      if (!best || score > best.score) {
+        best = { root, quality, score };
+      }
+    }
+  }
+  if (best.score < HARMONY_MIN_CHORD_SCORE) return null;
+
+  // A bass on another chord tone makes it an inversion; other bass notes
+  // (passing tones) are left out of the name
+  const bassIsChordTone = best.quality.intervals.some((iv) => (best.root + iv) % 12 === bassPc);
+  return {
+    root: best.root,
+    suffix: best.quality.suffix,
+    bass: bassIsChordTone ? bassPc : best.root,
+    score: best.score,
+  };
+}
+
+/**
+ * Finds the key whose profile correlates best with accumulated chroma.
+ * @param {Float32Array} chroma
+ * @returns {{tonic: number, mode: string, score: number}}
+ */
+function matchKey(chroma) {
+  let best = null;
+  for (const [mode, profile] of [['major', KEY_PROFILE_MAJOR], ['minor', KEY_PROFILE_MINOR]]) {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const rotated = [];
+      for (let pc = 0; pc < 12; pc++) rotated.push(profile[(pc - tonic + 12) % 12]);
+      const score = correlateChroma(chroma, rotated);
+      if (!best || score > best.score) best = { tonic, mode, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Pearson correlation of two 12-element (chroma or profile) vectors.
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number}
+ */
+function correlateChroma(a, b) {
+  let meanA = 0;
+  let meanB = 0;
+  for (let i = 0; i < 12; i++) {
+    meanA += a[i] / 12;
+    meanB += b[i] / 12;
+  }
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < 12; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) * (a[i] - meanA);
+    varB += (b[i] - meanB) * (b[i] - meanB);
+  }
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+/**
+ * Creates a harmony analyser.
+ *
+ * process() takes one analysis frame and returns the harmony events it
+ * produces: `{type: 'chord', time, name, chord}` when a new chord has been
+ * confirmed (back-dated to where it started) and `{type: 'key', time, name,
+ * key}` when the estimated key changes.
+ *
+ * @returns {{
+ *   process: function(Float32Array, number, number, Array<{midi: number}>): Array<object>,
+ *   getCurrent: function(): {chord: string|null, key: string|null, recentChords: string[]},
+ *   getKey: function(): {tonic: number, mode: string}|null,
+ *   resetChords: function(): void,
+ *   reset: function(): void
+ * }}
+ */
+function createHarmonyAnalyzer() {
+  let smoothed = new Float32Array(12);
+  let keyChroma = new Float32Array(12);
+  let keyEvidence = 0;
+  let lastTime = null;
+
+  // Current and pending chord: { chord, name, since }
+  let current = null;
+  let pending = null;
+  let recentChords = [];
+
+  // Current key and the key trying to replace it: { key, since }
+  let key = null;
+  let pendingKey = null;
+
+  /**
+   * @param {Float32Array} freqData  - dB values from AnalyserNode.getFloatFrequencyData
+   * @param {number} sampleRate
+   * @param {number} time  - media time of the frame (seconds)
+   * @param {Array<{midi: number}>} notes  - notes detected in this frame
+   * @returns {Array<object>} harmony events
+   */
+  function process(freqData, sampleRate, time, notes) {
+    const events = [];
+    const dt = lastTime !== null && time > lastTime ? time - lastTime : 0;
+    lastTime = time;
+
+    const chroma = computeChromagram(freqData, sampleRate);
+    const alpha = dt > 0 ? 1 - Math.exp(-dt / HARMONY_CHROMA_SECONDS) : 1;
+    for (let pc = 0; pc < 12; pc++) smoothed[pc] += (chroma[pc] - smoothed[pc]) * alpha;
+
+    // Chord: only while notes sound, so silence and reverb tails don't name one
+    const sounding = notes && notes.length > 0;
+    const bassPc = sounding ? Math.min(...notes.map((n) => n.midi)) % 12 : -1;
+    const match = sounding ? matchChord(smoothed, bassPc) : null;
+    const name = match ? formatChordName(match, key && key.key) : null;
+
+    if ((current && current.name) !== name) {
+      if (!pending || pending.name !== name) pending = { chord: match, name, since: time };
+      if (time - pending.since >= HARMONY_CHORD_MIN_SECONDS) {
+        current = pending;
+        pending = null;
+        if (name) {
+          if (recentChords[recentChords.length - 1] !== name) recentChords.push(name);
+          if (recentChords.length > HARMONY_RECENT_CHORDS) recentChords.shift();
+          events.push({ type: 'chord', time: current.since, name, chord: match });
+        }
+      }
+    } else {
+      pending = null;
+    }
+
+    // Key: decaying sum of every sounding frame's chroma
+    if (sounding) {
+      const decay = Math.exp(-dt / HARMONY_KEY_WINDOW_SECONDS);
+      for (let pc = 0; pc < 12; pc++) keyChroma[pc] = keyChroma[pc] * decay + chroma[pc] * dt;
+      keyEvidence = keyEvidence * decay + dt;
+    }
+    if (keyEvidence >= HARMONY_KEY_MIN_EVIDENCE) {
+      const best = matchKey(keyChroma);
+      const same = (a, b) => a && b && a.tonic === b.tonic && a.mode === b.mode;
+      if (!key) {
+        key = { key: best, since: time };
+        events.push({ type: 'key', time, name: formatKeyName(best), key: best });
+      } else if (!same(best, key.key)) {
+        if (!pendingKey || !same(best, pendingKey.key)) pendingKey = { key: best, since: time };
+        if (time - pendingKey.since >= HARMONY_KEY_MIN_SECONDS) {
+          key = pendingKey;
+          pendingKey = null;
+          events.push({ type: 'key', time: key.since, name: formatKeyName(key.key), key: key.key });
+        }
+      } else {
+        pendingKey = null;
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Current labels for the overlay.
+   * @returns {{chord: string|null, key: string|null, recentChords: string[]}}
+   */
+  function getCurrent() {
+    return {
+      chord: current ? current.name : null,
+      key: key ? formatKeyName(key.key) : null,
+      recentChords: recentChords.slice(),
+    };
+  }
+
+  /**
+   * The current key estimate itself (for spelling note names).
+   * @returns {{tonic: number, mode: string}|null}
+   */
+  function getKey() {
+    return key ? key.key : null;
+  }
+
+  /** Forgets the chord state (e.g. after a seek) but keeps the key estimate. */
+  function resetChords() {
+    smoothed = new Float32Array(12);
+    current = null;
+    pending = null;
+    recentChords = [];
+    lastTime = null;
+  }
+
+  function reset() {
+    resetChords();
+    keyChroma = new Float32Array(12);
+    keyEvidence = 0;
+    key = null;
+    pendingKey = null;
+  }
+
+  return { process, getCurrent, getKey, resetChords, reset };
+}
@@ -1,14 +1,23 @@
 // lib/midi-export.js — MIDI file export for PianoRain
-// Implements SMF (Standard MIDI File) Type 0 generation and offline video processing.
-// Depends on detectNoteEnhanced() from lib/note-detector.js (loaded as a prior content script).
-
-// Playback rate used during offline export: fast enough to process quickly,
-// while still allowing audio decoding and AnalyserNode sampling to work.
-const EXPORT_PLAYBACK_RATE = 16;
-
-// Wall-clock interval (ms) between pitch detection samples during export.
-// At 16x speed, each 100ms ≈ 1.6 s of video time.
-const DETECTION_INTERVAL_MS = 100;
+// Implements SMF (Standard MIDI File) Type 0/1 generation and parsing, and offline
+// video processing.
+// Depends on detectNotesEnhanced(), createOnsetDetector() and createVelocityEstimator()
+// from lib/note-detector.js, createNoteTracker() from lib/note-tracker.js,
+// createHarmonyAnalyzer() from lib/harmony.js, createHandAssigner() from
+// lib/hand-assigner.js, createPedalDetector() from lib/pedal-detector.js,
+// estimateBeatGrid() from lib/beat-tracker.js and createTranscriptNote() from
+// lib/transcript.js (loaded as prior content scripts).
+
+// Playback rate of the export pass. The video plays without pitch
+// preservation, so its audio is simply resampled and the analysis worklet
+// (reconfigured by setAnalysisRate) scales it back; 2x stays well clear of
+// the rates at which browsers mute or degrade media audio.
+const EXPORT_PLAYBACK_RATE = 2;
+
+// The export pass re-derives its media-time clock when a frame's predicted
+// media time and the video's own clock disagree by more than this (seconds),
+// e.g. after the video stalled to buffer
+const EXPORT_RESYNC_SECONDS = 0.25;
 
 /**
  * Encodes an integer as a MIDI Variable Length Quantity (VLQ).
@@ -27,83 +36,242 @@ function writeVLQ(value) {
 }
 
 /**
- * Builds a Standard MIDI File (Type 0, single track) from an array of note events.
+ * Encodes a text-type meta event (FF <type> <len> <text>) without its delta time.
+ * @param {number} type  e.g. 0x01 (text) or 0x06 (marker)
+ * @param {string} text  ASCII text
+ * @returns {number[]}
+ */
+function writeTextMetaEvent(type, text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    bytes.push(text.charCodeAt(i) & 0x7F);
+  }
+  return [0xFF, type, ...writeVLQ(bytes.length), ...bytes];
+}
+
+// Timing of exported files: 480 ticks per quarter note. Without a beat grid
+// the file runs at a fixed 120 BPM; with one, tempo follows the beats.
+const MIDI_TICKS_PER_QUARTER = 480;
+const MIDI_EXPORT_BPM = 120;
+const MIDI_TICKS_PER_SECOND = MIDI_TICKS_PER_QUARTER * MIDI_EXPORT_BPM / 60; // 960
+const MIDI_MAX_DELTA = 0x0FFFFFFF;
+
+// Beats that land within this fraction of a beat of where the current tempo
+// predicts share its tempo event, so timing jitter doesn't flood the file
+// with tempo changes
+const TEMPO_MERGE_TOLERANCE = 0.08;
+
+// A note this close before the first beat (seconds) still counts as on it,
+// rather than pushing the file start back a whole bar
+const MIDI_TEMPO_START_TOLERANCE = 0.05;
+
+// Quantisation grids, in ticks
+const QUANTIZE_GRIDS = {
+  '1/8': MIDI_TICKS_PER_QUARTER / 2,
+  '1/16': MIDI_TICKS_PER_QUARTER / 4,
+  '1/8T': MIDI_TICKS_PER_QUARTER / 3,
+  '1/16T': MIDI_TICKS_PER_QUARTER / 6,
+};
+
+// MIDI channel of each hand's track in Type 1 files
+const HAND_CHANNELS = { right: 0, left: 1 };
+
+/**
+ * Builds a tempo map from a beat grid: each beat of the grid lands on a
+ * quarter note, with tick 0 on a downbeat. The grid is extended backwards by
+ * whole beats to the last downbeat at or before `startTime`, so the first
+ * notes fall in the file's first bar.
  *
- * @param {Array<{midi: number, startTime: number, endTime: number}>} notes
- *   Each note has a MIDI note number and start/end times in seconds.
- * @returns {Uint8Array}  Complete .mid file bytes
+ * @param {{beats: number[], downbeat: number, beatsPerBar: number}|null} beatGrid
+ *        from estimateBeatGrid(); null for a fixed 120 BPM map
+ * @param {number} [startTime]  - seconds; the earliest note start (default 0)
+ * @returns {Array<{time: number, tick: number, secondsPerTick: number}>} segments
  */
-function buildMidiFile(notes) {
-  const TICKS_PER_QUARTER = 480;
-  const BPM = 120;
-  const TICKS_PER_SECOND = TICKS_PER_QUARTER * BPM / 60; // 960
-  const MAX_DELTA = 0x0FFFFFFF;
+function buildTempoMap(beatGrid, startTime) {
+  if (!beatGrid || beatGrid.beats.length < 2) {
+    return [{ time: 0, tick: 0, secondsPerTick: 1 / MIDI_TICKS_PER_SECOND }];
+  }
 
-  // Convert note events to MIDI events sorted by time
-  const midiEvents = [];
+  const beats = beatGrid.beats.slice();
+  let phase = ((-beatGrid.downbeat % beatGrid.beatsPerBar) + beatGrid.beatsPerBar) % beatGrid.beatsPerBar;
+  const firstPeriod = beats[1] - beats[0];
+  const firstNote = startTime || 0;
+  while (phase !== 0 || beats[0] > firstNote + MIDI_TEMPO_START_TOLERANCE) {
+    beats.unshift(beats[0] - firstPeriod);
+    phase = (phase + beatGrid.beatsPerBar - 1) % beatGrid.beatsPerBar;
+  }
 
-  for (const note of notes) {
-    if (note.endTime <= note.startTime) continue;
-    const midiNote = note.midi & 0x7F;
-    midiEvents.push({ time: note.startTime, type: 0x90, note: midiNote, velocity: 80 });
-    midiEvents.push({ time: note.endTime,   type: 0x80, note: midiNote, velocity: 0 });
+  const segments = [];
+  let segStart = 0;
+  for (let i = 1; i < beats.length; i++) {
+    // Extend the segment while the next beat lands where its tempo predicts
+    const segPeriod = (beats[i] - beats[segStart]) / (i - segStart);
+    if (i + 1 < beats.length) {
+      const drift = beats[i + 1] - (beats[i] + segPeriod);
+      if (Math.abs(drift) <= segPeriod * TEMPO_MERGE_TOLERANCE) continue;
+    }
+    // Beats segStart…i share one tempo: their average spacing
+    segments.push({
+      time: beats[segStart],
+      tick: segStart * MIDI_TICKS_PER_QUARTER,
+      secondsPerTick: (beats[i] - beats[segStart]) / ((i - segStart) * MIDI_TICKS_PER_QUARTER),
+    });
+    segStart = i;
   }
+  return segments;
+}
 
-  // Sort by time, note-off before note-on at the same time
-  midiEvents.sort((a, b) => {
-    if (a.time !== b.time) return a.time - b.time;
-    return a.type - b.type; // 0x80 (note-off) < 0x90 (note-on)
+/**
+ * Converts a time in seconds to a (fractional) tick position on a tempo map.
+ * Times past the last segment continue at its tempo.
+ * @param {Array<{time: number, tick: number, secondsPerTick: number}>} tempoMap
+ * @param {number} time
+ * @returns {number}
+ */
+function timeToTick(tempoMap, time) {
+  let seg = tempoMap[0];
+  for (const candidate of tempoMap) {
+    if (candidate.time > time) break;
+    seg = candidate;
+  }
+  return seg.tick + (time - seg.time) / seg.secondsPerTick;
+}
+
+/**
+ * Converts a tempo map to Set Tempo meta events (FF 51 03 <µs per quarter>).
+ * @param {Array<{time: number, tick: number, secondsPerTick: number}>} tempoMap
+ * @returns {Array<{tick: number, type: number, bytes: number[]}>}
+ */
+function tempoMidiEvents(tempoMap) {
+  return tempoMap.map((seg) => {
+    const usPerBeat = Math.round(seg.secondsPerTick * MIDI_TICKS_PER_QUARTER * 1000000);
+    return {
+      tick: seg.tick,
+      type: 0xFF,
+      bytes: [0xFF, 0x51, 0x03,
+        (usPerBeat >> 16) & 0xFF,
+        (usPerBeat >> 8)  & 0xFF,
+         usPerBeat        & 0xFF],
+    };
   });
+}
 
-  // Build track chunk bytes
-  const trackBytes = [];
+/**
+ * Converts notes to note-on/note-off events on one channel, optionally pulling
+ * each note's start towards the quantisation grid (its length is kept).
+ * @param {Array<{midi: number, startTime: number, endTime: number, velocity?: number}>} notes
+ * @param {number} channel  0–15
+ * @param {function(number): number} toTick  - seconds → ticks
+ * @param {{grid: string, strength: number}} [quantize]  - strength 0–1
+ * @returns {Array<{tick: number, type: number, note: number, velocity: number}>}
+ */
+function noteMidiEvents(notes, channel, toTick, quantize) {
+  const gridTicks = quantize ? QUANTIZE_GRIDS[quantize.grid] : 0;
+  const strength = quantize ? Math.min(1, Math.max(0, quantize.strength)) : 0;
 
-  // Track Name meta event: delta=0, FF 03 <len> "PianoRain Export"
-  const trackName = 'PianoRain Export';
-  const nameBytes = [];
-  for (let i = 0; i < trackName.length; i++) {
-    nameBytes.push(trackName.charCodeAt(i));
+  const midiEvents = [];
+  for (const note of notes) {
+    if (note.endTime <= note.startTime) continue;
+    const midiNote = note.midi & 0x7F;
+    const velocity = Math.min(127, Math.max(1, Math.round(note.velocity || DEFAULT_VELOCITY)));
+    let startTick = toTick(note.startTime);
+    let endTick = toTick(note.endTime);
+    if (gridTicks && strength > 0) {
+      const shift = (Math.round(startTick / gridTicks) * gridTicks - startTick) * strength;
+      startTick += shift;
+      endTick += shift;
+    }
+    startTick = Math.max(0, Math.round(startTick));
+    endTick = Math.max(startTick + 1, Math.round(endTick));
+    midiEvents.push({ tick: startTick, type: 0x90 | channel, note: midiNote, velocity });
+    midiEvents.push({ tick: endTick,   type: 0x80 | channel, note: midiNote, velocity: 0 });
   }
-  trackBytes.push(...writeVLQ(0), 0xFF, 0x03, ...writeVLQ(nameBytes.length), ...nameBytes);
+  return midiEvents;
+}
 
-  // Time Signature meta event: delta=0, FF 58 04 04 02 18 08 (4/4 time)
-  trackBytes.push(...writeVLQ(0), 0xFF, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08);
+/**
+ * Converts sustain pedal events to Control Change 64 (damper pedal) events.
+ * @param {Array<{down: boolean, time: number}>} pedalEvents
+ * @param {number} channel  0–15
+ * @param {function(number): number} toTick  - seconds → ticks
+ * @returns {Array<{tick: number, type: number, note: number, velocity: number}>}
+ *          (`note` and `velocity` carry the controller number and value)
+ */
+function pedalMidiEvents(pedalEvents, channel, toTick) {
+  return (pedalEvents || []).map((ev) => ({
+    tick: Math.max(0, Math.round(toTick(ev.time))),
+    type: 0xB0 | channel,
+    note: 64,
+    velocity: ev.down ? 127 : 0,
+  }));
+}
+
+/**
+ * Converts harmony events to meta events: chords become text events, keys
+ * become a marker plus a key signature.
+ * @param {Array<{type: string, time: number, name: string, key?: object}>} harmonyEvents
+ * @param {function(number): number} toTick  - seconds → ticks
+ * @returns {Array<{tick: number, type: number, bytes: number[]}>}
+ */
+function harmonyMidiEvents(harmonyEvents, toTick) {
+  const midiEvents = [];
+  for (const ev of harmonyEvents || []) {
+    const tick = Math.max(0, Math.round(toTick(ev.time)));
+    if (ev.type === 'chord') {
+      midiEvents.push({ tick, type: 0xFF, bytes: writeTextMetaEvent(0x01, ev.name) });
+    } else if (ev.type === 'key') {
+      midiEvents.push({ tick, type: 0xFF, bytes: writeTextMetaEvent(0x06, `Key: ${ev.name}`) });
+      // Key Signature: FF 59 02 <sharps/flats> <0 major | 1 minor>
+      const fifths = keySignatureFifths(ev.key);
+      midiEvents.push({
+        tick,
+        type: 0xFF,
+        bytes: [0xFF, 0x59, 0x02, fifths & 0xFF, ev.key.mode === 'minor' ? 1 : 0],
+      });
+    }
+  }
+  return midiEvents;
+}
 
-  // Tempo meta event: delta=0, FF 51 03 <3-byte microseconds per quarter note>
-  const usPerBeat = Math.round(60000000 / BPM); // 500000 for 120 BPM
-  trackBytes.push(...writeVLQ(0), 0xFF, 0x51, 0x03,
-    (usPerBeat >> 16) & 0xFF,
-    (usPerBeat >> 8)  & 0xFF,
-     usPerBeat        & 0xFF);
+/**
+ * Encodes one MTrk chunk: the delta-0 `setup` events, then `midiEvents` in
+ * tick order, then End-of-Track.
+ * @param {number[][]} setup  - events (without delta time) placed at tick 0
+ * @param {Array<object>} midiEvents  - from noteMidiEvents() / pedalMidiEvents() /
+ *        harmonyMidiEvents() / tempoMidiEvents()
+ * @returns {number[]}  chunk bytes including the MTrk header
+ */
+function encodeTrackChunk(setup, midiEvents) {
+  // Sort by tick; at the same tick meta events come first, then note-offs
+  // before note-ons, then controllers
+  const order = (ev) => (ev.type === 0xFF ? 0 : ev.type & 0xF0);
+  const sorted = midiEvents.slice().sort((a, b) => {
+    if (a.tick !== b.tick) return a.tick - b.tick;
+    return order(a) - order(b); // meta < 0x80 (note-off) < 0x90 (note-on) < 0xB0 (control change)
+  });
 
-  // Program Change: delta=0, C0 00 (Acoustic Grand Piano on channel 0)
-  trackBytes.push(...writeVLQ(0), 0xC0, 0x00);
+  const trackBytes = [];
+  for (const bytes of setup) {
+    trackBytes.push(...writeVLQ(0), ...bytes);
+  }
 
-  // Note events
   let prevTick = 0;
-  for (const ev of midiEvents) {
-    const tick = Math.max(0, Math.round(ev.time * TICKS_PER_SECOND));
-    const delta = Math.min(MAX_DELTA, Math.max(0, tick - prevTick));
-    prevTick = tick;
-    trackBytes.push(...writeVLQ(delta), ev.type, ev.note & 0x7F, ev.velocity & 0x7F);
+  for (const ev of sorted) {
+    const delta = Math.min(MIDI_MAX_DELTA, Math.max(0, ev.tick - prevTick));
+    prevTick = ev.tick;
+    if (ev.bytes) {
+      trackBytes.push(...writeVLQ(delta), ...ev.bytes);
+    } else {
+      trackBytes.push(...writeVLQ(delta), ev.type, ev.note & 0x7F, ev.velocity & 0x7F);
+    }
   }
 
   // End-of-track meta event
   trackBytes.push(...writeVLQ(0), 0xFF, 0x2F, 0x00);
 
-  // Header chunk: MThd, length=6, format=0, tracks=1, ticks/quarter
-  const header = [
-    0x4D, 0x54, 0x68, 0x64, // "MThd"
-    0x00, 0x00, 0x00, 0x06, // chunk length = 6
-    0x00, 0x00,             // format 0
-    0x00, 0x01,             // 1 track
-    (TICKS_PER_QUARTER >> 8) & 0xFF,
-     TICKS_PER_QUARTER       & 0xFF,
-  ];
-
   // Track chunk: MTrk + 4-byte length + data
   const trackLen = trackBytes.length;
-  const track = [
+  return [
     0x4D, 0x54, 0x72, 0x6B, // "MTrk"
     (trackLen >> 24) & 0xFF,
     (trackLen >> 16) & 0xFF,
@@ -111,17 +279,109 @@ function buildMidiFile(notes) {
      trackLen        & 0xFF,
     ...trackBytes,
   ];
+}
 
-  return new Uint8Array([...header, ...track]);
+/**
+ * Builds a Standard MIDI File from an array of note events.
+ *
+ * By default this is a Type 0 file (a single track). With `splitHands` it is
+ * a Type 1 file: a conductor track (tempo, time signature, harmony) followed
+ * by a "Right Hand" track on MIDI channel 1 and a "Left Hand" track on channel 2.
+ *
+ * Sustain pedal changes are written as CC64 events on every note track.
+ *
+ * With a `beatGrid` (see estimateBeatGrid) the file carries a tempo map and
+ * notes sit on the real beats and bar lines; `quantize` then optionally pulls
+ * note starts towards a 1/8, 1/16 or triplet grid.
+ *
+ * @param {Array<{midi: number, startTime: number, endTime: number, velocity?: number, hand?: string}>} notes
+ *   Each note has a MIDI note number, start/end times in seconds, an optional
+ *   note-on velocity (DEFAULT_VELOCITY when absent) and an optional hand
+ *   ('left' or 'right'; notes without one go to the right hand).
+ * @param {Array<{type: string, time: number, name: string, key?: object}>} [harmonyEvents]
+ *   Chord and key changes from createHarmonyAnalyzer().
+ * @param {object} [options]
+ * @param {boolean} [options.splitHands]
+ * @param {Array<{down: boolean, time: number}>} [options.pedalEvents]  - from createPedalDetector()
+ * @param {object|null} [options.beatGrid]  - from estimateBeatGrid()
+ * @param {{grid: string, strength: number}} [options.quantize]
+ *   grid is a key of QUANTIZE_GRIDS (anything else turns quantisation off),
+ *   strength 0–1
+ * @returns {Uint8Array}  Complete .mid file bytes
+ */
+function buildMidiFile(notes, harmonyEvents, options) {
+  const opts = options || {};
+  const splitHands = !!opts.splitHands;
+  const startTime = notes.reduce((min, note) => Math.min(min, note.startTime), Infinity);
+  const tempoMap = buildTempoMap(opts.beatGrid || null, isFinite(startTime) ? startTime : 0);
+  const toTick = (time) => timeToTick(tempoMap, time);
+
+  // Time Signature meta event: FF 58 04 04 02 18 08 (4/4 time)
+  const timeSignature = [0xFF, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08];
+
+  // Track Name meta event: FF 03 <len> <name>
+  const trackName = (name) => writeTextMetaEvent(0x03, name);
+
+  // Program Change: C<channel> 00 (Acoustic Grand Piano)
+  const piano = (channel) => [0xC0 | channel, 0x00];
+
+  const conductorEvents = tempoMidiEvents(tempoMap).concat(harmonyMidiEvents(harmonyEvents, toTick));
+
+  let tracks;
+  if (splitHands) {
+    const handNotes = (hand) => notes.filter((note) => (note.hand || 'right') === hand);
+    tracks = [
+      encodeTrackChunk(
+        [trackName('PianoRain Export'), timeSignature],
+        conductorEvents
+      ),
+      encodeTrackChunk(
+        [trackName('Right Hand'), piano(HAND_CHANNELS.right)],
+        noteMidiEvents(handNotes('right'), HAND_CHANNELS.right, toTick, opts.quantize)
+          .concat(pedalMidiEvents(opts.pedalEvents, HAND_CHANNELS.right, toTick))
+      ),
+      encodeTrackChunk(
+        [trackName('Left Hand'), piano(HAND_CHANNELS.left)],
+        noteMidiEvents(handNotes('left'), HAND_CHANNELS.left, toTick, opts.quantize)
+          .concat(pedalMidiEvents(opts.pedalEvents, HAND_CHANNELS.left, toTick))
+      ),
+    ];
+  } else {
+    tracks = [
+      encodeTrackChunk(
+        [trackName('PianoRain Export'), timeSignature, piano(0)],
+        noteMidiEvents(notes, 0, toTick, opts.quantize)
+          .concat(pedalMidiEvents(opts.pedalEvents, 0, toTick), conductorEvents)
+      ),
+    ];
+  }
+
+  // Header chunk: MThd, length=6, format, track count, ticks/quarter
+  const format = splitHands ? 1 : 0;
+  const header = [
+    0x4D, 0x54, 0x68, 0x64, // "MThd"
+    0x00, 0x00, 0x00, 0x06, // chunk length = 6
+    0x00, format,
+    (tracks.length >> 8) & 0xFF,
+     tracks.length       & 0xFF,
+    (MIDI_TICKS_PER_QUARTER >> 8) & 0xFF,
+     MIDI_TICKS_PER_QUARTER       & 0xFF,
+  ];
+
+  const bytes = header.slice();
+  for (const track of tracks) {
+    for (const b of track) bytes.push(b);
+  }
+  return new Uint8Array(bytes);
 }
 
 /**
- * Triggers a browser download of a MIDI file.
- * @param {Uint8Array} midiData
+ * Triggers a browser download of a blob. Every exporter's download goes
+ * through here.
+ * @param {Blob} blob
  * @param {string} filename
  */
-function downloadMidiFile(midiData, filename) {
-  const blob = new Blob([midiData], { type: 'audio/midi' });
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -133,115 +393,477 @@ function downloadMidiFile(midiData, filename) {
 }
 
 /**
- * Performs an offline processing pass of the entire video to detect notes,
- * then builds and returns a MIDI file as a Uint8Array.
+ * Triggers a browser download of a MIDI file.
+ * @param {Uint8Array} midiData
+ * @param {string} filename
+ */
+function downloadMidiFile(midiData, filename) {
+  downloadBlob(new Blob([midiData], { type: 'audio/midi' }), filename);
+}
+
+// Track names that mark a Type 1 track as one hand's part; other tracks are
+// split at MIDI_IMPORT_SPLIT_POINT
+const MIDI_LEFT_TRACK_NAME = /\b(left|lh|bass)\b/i;
+const MIDI_RIGHT_TRACK_NAME = /\b(right|rh|treble)\b/i;
+// Notes below this (middle C) go to the left hand when the track says nothing
+const MIDI_IMPORT_SPLIT_POINT = 60;
+// Tempo of a file until its first tempo event (µs per quarter, 120 BPM)
+const MIDI_DEFAULT_TEMPO = 500000;
+
+/**
+ * Parses a Standard MIDI File (Type 0 or 1) into the same shape as a
+ * transcription: notes with hands, and sustain pedal (CC64) changes, timed
+ * in seconds through the file's tempo map.
+ *
+ * Running status, SysEx and unknown chunks are handled; a note-on with
+ * velocity 0 is a note-off, and a repeated note-on of a sounding pitch ends
+ * the earlier note. Pedal changes are read from the channel with the most
+ * notes.
+ *
+ * @param {ArrayBuffer|Uint8Array} data  .mid file bytes
+ * @returns {{
+ *   notes: Array<{midi: number, startTime: number, endTime: number, velocity: number, confidence: number, hand: string}>,
+ *   pedalEvents: Array<{type: string, down: boolean, time: number}>,
+ *   duration: number
+ * }}
+ * @throws {Error} if the data is not a Type 0 or 1 MIDI file
+ */
+function parseMidiFile(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  let pos = 0;
+
+  const need = (count) => {
+    if (pos + count > bytes.length) throw new Error('MIDI file is truncated.');
+  };
+  const readUint = (count) => {
+    need(count);
+    let value = 0;
+    for (let i = 0; i < count; i++) value = value * 256 + bytes[pos++];
+    return value;
+  };
+  const readTag = () => {
+    need(4);
+    const tag = String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+    pos += 4;
+    return tag;
+  };
+  const readVLQ = (end) => {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      if (pos >= end) throw new Error('MIDI file is truncated.');
+      const b = bytes[pos++];
+      value = (value << 7) | (b & 0x7F);
+      if (!(b & 0x80)) return value;
+    }
+    throw new Error('Invalid variable-length value in MIDI file.');
+  };
+
+  if (readTag() !== 'MThd') throw new Error('Not a MIDI file.');
+  const headerLength = readUint(4);
+  const headerEnd = pos + headerLength;
+  const format = readUint(2);
+  const trackCount = readUint(2);
+  const division = readUint(2);
+  pos = headerEnd;
+  if (format > 1) throw new Error(`MIDI file type ${format} is not supported.`);
+
+  // Ticks → seconds: ticks per quarter under a tempo map, or SMPTE timecode
+  // (frames per second × ticks per frame) with no tempo at all
+  const smpte = (division & 0x8000) !== 0;
+  const ticksPerQuarter = smpte ? 0 : division;
+  const smpteTicksPerSecond = smpte ? (256 - (division >> 8)) * (division & 0xFF) : 0;
+  if (!smpte && ticksPerQuarter === 0) throw new Error('Invalid MIDI time division.');
+
+  // Raw events of every track, in ticks
+  const tempoChanges = [];
+  const tracks = [];
+  while (tracks.length < trackCount && pos + 8 <= bytes.length) {
+    const tag = readTag();
+    const length = readUint(4);
+    const end = Math.min(bytes.length, pos + length);
+    if (tag !== 'MTrk') {
+      pos = end;
+      continue;
+    }
+    const track = { name: '', events: [] };
+    let tick = 0;
+    let status = 0;
+    while (pos < end) {
+      tick += readVLQ(end);
+      let b = bytes[pos];
+      if (b & 0x80) {
+        pos++;
+      } else if (status) {
+        b = status; // running status: the data byte belongs to the last status
+      } else {
+        throw new Error('MIDI data without a status byte.');
+      }
+
+      if (b === 0xFF) {
+        need(1);
+        const type = bytes[pos++];
+        const len = readVLQ(end);
+        need(len);
+        if (type === 0x51 && len === 3) {
+          tempoChanges.push({ tick, tempo: (bytes[pos] << 16) | (bytes[pos + 1] << 8) | bytes[pos + 2] });
+        } else if (type === 0x03 && !track.name) {
+          track.name = String.fromCharCode(...bytes.subarray(pos, pos + len));
+        }
+        pos += len;
+        status = 0;
+      } else if (b === 0xF0 || b === 0xF7) {
+        pos += readVLQ(end);
+        status = 0;
+      } else {
+        const kind = b & 0xF0;
+        const dataLength = kind === 0xC0 || kind === 0xD0 ? 1 : 2;
+        need(dataLength);
+        track.events.push({
+          tick,
+          kind,
+          channel: b & 0x0F,
+          data1: bytes[pos],
+          data2: dataLength === 2 ? bytes[pos + 1] : 0,
+        });
+        pos += dataLength;
+        status = b;
+      }
+    }
+    pos = end;
+    tracks.push(track);
+  }
+  if (tracks.length === 0) throw new Error('MIDI file has no tracks.');
+
+  // Tempo map: seconds at each tempo change (tempo events apply to every track)
+  tempoChanges.sort((a, b) => a.tick - b.tick);
+  const segments = [{ tick: 0, time: 0, tempo: MIDI_DEFAULT_TEMPO }];
+  for (const change of tempoChanges) {
+    const last = segments[segments.length - 1];
+    const time = last.time + (change.tick - last.tick) * last.tempo / 1e6 / ticksPerQuarter;
+    if (change.tick === last.tick) segments[segments.length - 1] = { tick: last.tick, time: last.time, tempo: change.tempo };
+    else segments.push({ tick: change.tick, time, tempo: change.tempo });
+  }
+  const tickToTime = (tick) => {
+    if (smpte) return tick / smpteTicksPerSecond;
+    let seg = segments[0];
+    for (const s of segments) {
+      if (s.tick > tick) break;
+      seg = s;
+    }
+    return seg.time + (tick - seg.tick) * seg.tempo / 1e6 / ticksPerQuarter;
+  };
+
+  const notes = [];
+  const channelNotes = new Array(16).fill(0);
+  const pedalByChannel = Array.from({ length: 16 }, () => []);
+  let duration = 0;
+
+  for (const track of tracks) {
+    const trackHand = MIDI_LEFT_TRACK_NAME.test(track.name) ? 'left'
+      : MIDI_RIGHT_TRACK_NAME.test(track.name) ? 'right'
+      : null;
+    const sounding = new Map(); // channel * 128 + midi → note
+    const end = (key, time) => {
+      const note = sounding.get(key);
+      if (!note) return;
+      note.endTime = Math.max(time, note.startTime);
+      sounding.delete(key);
+    };
+
+    for (const ev of track.events) {
+      const time = tickToTime(ev.tick);
+      duration = Math.max(duration, time);
+      const key = ev.channel * 128 + ev.data1;
+      if (ev.kind === 0x90 && ev.data2 > 0) {
+        end(key, time);
+        const note = createTranscriptNote({
+          midi: ev.data1,
+          startTime: time,
+          endTime: time,
+          velocity: ev.data2,
+          hand: trackHand || (ev.data1 < MIDI_IMPORT_SPLIT_POINT ? 'left' : 'right'),
+        });
+        notes.push(note);
+        sounding.set(key, note);
+        channelNotes[ev.channel]++;
+      } else if (ev.kind === 0x80 || ev.kind === 0x90) {
+        end(key, time);
+      } else if (ev.kind === 0xB0 && ev.data1 === 64) {
+        pedalByChannel[ev.channel].push({ type: 'pedal', down: ev.data2 >= 64, time });
+      }
+    }
+    // Notes never released end with the file
+    for (const key of Array.from(sounding.keys())) end(key, duration);
+  }
+
+  // Pedal changes of the busiest channel, keeping only actual changes
+  const pedalChannel = channelNotes.indexOf(Math.max(...channelNotes));
+  const pedalEvents = [];
+  for (const ev of pedalByChannel[pedalChannel].sort((a, b) => a.time - b.time)) {
+    const last = pedalEvents[pedalEvents.length - 1];
+    if (last ? last.down !== ev.down : ev.down) pedalEvents.push(ev);
+  }
+
+  notes.sort((a, b) => a.startTime - b.startTime || a.midi - b.midi);
+  return { notes, pedalEvents, duration };
+}
+
+/**
+ * Performs an offline processing pass of the video (or a range of it) and
+ * returns its transcription: the detected notes (with hands), harmony events
+ * and sustain pedal events, timed in seconds from the start of the range.
+ * Shared by the MIDI and MusicXML exports.
+ *
+ * The video plays from the range start at EXPORT_PLAYBACK_RATE with the
+ * speakers muted, and every fixed-hop frame of the analysis worklet (10 ms of media
+ * time) goes through the same detection stages as the live view. Event times
+ * are media times derived from the frames' sample-accurate timestamps.
+ *
+ * Must be called while the analysis worklet runs (see startAnalysisWorklet);
+ * its frames are routed to the export pass until it settles. However it
+ * settles — finished, failed or cancelled — the video's position, rate and
+ * paused state are restored.
  *
  * @param {HTMLVideoElement} video
- * @param {AnalyserNode} analyser
  * @param {AudioContext} audioCtx
  * @param {function(number): void} [onProgress]  Called with progress 0–1
- * @returns {Promise<Uint8Array>}
+ * @param {object} [options]
+ * @param {{floors: number[], calibrated: boolean}} [options.noiseProfile]  starting
+ *        noise floor, e.g. the live view's (see createNoiseFloorTracker)
+ * @param {{start: number, end: number}} [options.range]  media seconds to
+ *        transcribe; the whole video by default
+ * @param {AbortSignal} [options.signal]  aborting it cancels the pass, which
+ *        then rejects with an AbortError
+ * @returns {Promise<{notes: Array<object>, harmonyEvents: Array<object>, pedalEvents: Array<object>}|null>}
+ *          null when no notes were detected
  */
-function exportVideoToMidi(video, analyser, audioCtx, onProgress) {
+function transcribeVideo(video, audioCtx, onProgress, options) {
+  const opts = options || {};
   return new Promise((resolve, reject) => {
     // Save original state
     const origTime = video.currentTime;
     const origRate = video.playbackRate;
-    const origMuted = video.muted;
+    const origPreservesPitch = video.preservesPitch;
     const origPaused = video.paused;
 
     const notes = [];
-    let currentNote = -1;
-    let noteStartTime = 0;
-    let intervalId = null;
-    let cancelled = false;
+    // Notes currently sounding: MIDI number → { startTime, velocity, confidence, hand }
+    const openNotes = new Map();
+    const onsetDetector = createOnsetDetector();
+    const velocityEstimator = createVelocityEstimator();
+    const noteTracker = createNoteTracker();
+    const handAssigner = createHandAssigner();
+    const noiseFloor = createNoiseFloorTracker(opts.noiseProfile);
+    const harmony = createHarmonyAnalyzer();
+    const harmonyEvents = [];
+    const pedalDetector = createPedalDetector();
+    const pedalEvents = [];
+    let previousFrameHandler = null;
+    let started = false;
+    let settled = false;
+
+    const rangeStart = opts.range ? Math.max(0, opts.range.start) : 0;
+    const rangeEnd = opts.range ? opts.range.end : Infinity;
+
+    // Media-time clock: frame time `t` (AudioContext seconds) maps to
+    // clock.media + (t - clock.context) * EXPORT_PLAYBACK_RATE
+    let clock = null;
+    let lastMediaTime = -Infinity;
+    let reportedPercent = -1;
 
     function restore() {
-      video.muted = origMuted;
+      setAnalysisFrameHandler(previousFrameHandler);
+      setAnalysisRate(1);
+      setAudioOutputMuted(false);
+      video.removeEventListener('seeked', startProcessing);
+      video.removeEventListener('ended', finish);
+      video.removeEventListener('error', onVideoError);
+      if (opts.signal) opts.signal.removeEventListener('abort', onAbort);
       video.playbackRate = origRate;
+      video.preservesPitch = origPreservesPitch;
       if (origPaused) {
         video.pause();
       }
       video.currentTime = origTime;
     }
 
-    function finish() {
-      if (intervalId !== null) {
-        clearInterval(intervalId);
-        intervalId = null;
-      }
-      // Close any open note
-      if (currentNote !== -1) {
-        notes.push({ midi: currentNote, startTime: noteStartTime, endTime: video.currentTime });
-        currentNote = -1;
+    // Turns tracker events into completed transcript notes (see createTranscriptNote)
+    function applyEvents(events) {
+      for (const ev of handAssigner.assign(events)) {
+        if (ev.type === 'on') {
+          openNotes.set(ev.midi, {
+            startTime: ev.time,
+            velocity: ev.velocity,
+            confidence: ev.confidence,
+            hand: ev.hand,
+          });
+          continue;
+        }
+        const open = openNotes.get(ev.midi);
+        if (!open) continue;
+        notes.push(createTranscriptNote({
+          midi: ev.midi,
+          startTime: open.startTime,
+          endTime: ev.time,
+          velocity: open.velocity,
+          confidence: open.confidence,
+          hand: open.hand,
+        }));
+        openNotes.delete(ev.midi);
       }
+    }
+
+    function finish() {
+      if (settled) return;
+      settled = true;
+      const endTime = Math.max(lastMediaTime, 0);
+      // Close any open notes, and lift the pedal if it is still down
+      applyEvents(noteTracker.flush(endTime));
+      if (pedalDetector.isDown()) pedalEvents.push({ type: 'pedal', down: false, time: endTime });
       restore();
-      const midiData = buildMidiFile(notes);
-      resolve(midiData);
+      if (notes.length === 0) {
+        resolve(null);
+        return;
+      }
+
+      // Times relative to the range start, so exported files start there
+      const shift = (time) => Math.max(0, time - rangeStart);
+      const shiftEvent = (ev) => Object.assign({}, ev, { time: shift(ev.time) });
+      resolve({
+        notes: notes.map((note) => Object.assign({}, note, {
+          startTime: shift(note.startTime),
+          endTime: shift(note.endTime),
+        })),
+        harmonyEvents: harmonyEvents.map(shiftEvent),
+        pedalEvents: pedalEvents.map(shiftEvent),
+      });
     }
 
     function abort(err) {
-      if (intervalId !== null) {
-        clearInterval(intervalId);
-        intervalId = null;
-      }
+      if (settled) return;
+      settled = true;
       restore();
       reject(err);
     }
 
-    function tick() {
-      if (cancelled) {
-        abort(new Error('Export cancelled'));
-        return;
-      }
+    function onVideoError() {
+      abort(new Error('Video error during export'));
+    }
 
-      const duration = video.duration;
-      const currentTime = video.currentTime;
+    function onAbort() {
+      abort(new DOMException('Export cancelled', 'AbortError'));
+    }
 
-      // Report progress
-      if (typeof onProgress === 'function' && duration > 0) {
-        onProgress(Math.min(currentTime / duration, 1));
+    /** Media time of a frame, or null while the video isn't advancing. */
+    function frameMediaTime(frame) {
+      if (!started || video.paused || video.seeking || video.readyState < HTMLMediaElement.HAVE_FUTURE_DATA) {
+        // Stalled: the clock is re-derived once playback resumes
+        clock = null;
+        return null;
       }
+      const lag = Math.max(0, audioCtx.currentTime - frame.time);
+      const observed = video.currentTime - lag * EXPORT_PLAYBACK_RATE;
+      if (clock) {
+        const predicted = clock.media + (frame.time - clock.context) * EXPORT_PLAYBACK_RATE;
+        if (Math.abs(predicted - observed) <= EXPORT_RESYNC_SECONDS) return predicted;
+      }
+      clock = { context: frame.time, media: Math.max(0, observed) };
+      return clock.media;
+    }
 
-      // Detect note
-      const freqData = new Float32Array(analyser.frequencyBinCount);
-      analyser.getFloatFrequencyData(freqData);
-      const timeData = new Float32Array(analyser.fftSize);
-      analyser.getFloatTimeDomainData(timeData);
-      const sr = audioCtx.sampleRate;
-
-      const midi = detectNoteEnhanced(freqData, timeData, sr);
+    function onFrame(frame) {
+      if (settled) return;
 
-      if (midi !== currentNote) {
-        // End previous note
-        if (currentNote !== -1) {
-          notes.push({ midi: currentNote, startTime: noteStartTime, endTime: currentTime });
-        }
-        // Start new note (or silence)
-        currentNote = midi !== -1 ? midi : -1;
-        if (currentNote !== -1) {
-          noteStartTime = currentTime;
+      const mediaTime = frameMediaTime(frame);
+      if (mediaTime === null || mediaTime <= lastMediaTime) {
+        recycleAnalysisFrame(frame);
+        return;
+      }
+      lastMediaTime = mediaTime;
+      const { freqData, timeData, sampleRate: sr } = frame;
+
+      // Own floor estimate, installed as the gate for this frame's detection
+      noiseFloor.process(freqData, sr, mediaTime);
+      const detected = detectNotesEnhanced(freqData, timeData, sr);
+      const { struckMidis } = onsetDetector.process(freqData, sr, detected.map((n) => n.midi));
+      harmonyEvents.push(...harmony.process(freqData, sr, mediaTime, detected));
+      pedalEvents.push(...pedalDetector.process(freqData, sr, mediaTime, detected));
+
+      // Same tracking stage as the live view, so both agree
+      applyEvents(noteTracker.process({
+        time: mediaTime,
+        notes: detected,
+        struckMidis,
+        velocityOf: (midi) => velocityEstimator.estimate(midi, freqData, sr),
+      }));
+      recycleAnalysisFrame(frame);
+
+      // Report progress (once per percent: frames arrive every few ms)
+      const end = Math.min(rangeEnd, video.duration || Infinity);
+      if (typeof onProgress === 'function' && isFinite(end) && end > rangeStart) {
+        const percent = Math.floor(Math.min((mediaTime - rangeStart) / (end - rangeStart), 1) * 100);
+        if (percent !== reportedPercent) {
+          reportedPercent = percent;
+          onProgress(percent / 100);
         }
       }
 
       // Check if finished
-      if (video.ended || (duration > 0 && currentTime >= duration)) {
+      if (video.ended || mediaTime >= end) {
         finish();
       }
     }
 
-    // Start the offline pass
-    video.muted = true;
+    if (opts.signal && opts.signal.aborted) {
+      reject(new DOMException('Export cancelled', 'AbortError'));
+      return;
+    }
+
+    // Start the offline pass: silent output, worklet reconfigured for the
+    // faster playback and routed to this pass
+    setAudioOutputMuted(true);
+    setAnalysisRate(EXPORT_PLAYBACK_RATE);
+    previousFrameHandler = setAnalysisFrameHandler(onFrame);
+    video.preservesPitch = false;
     video.playbackRate = EXPORT_PLAYBACK_RATE;
 
     function startProcessing() {
+      resetAnalysisWorklet();
+      started = true;
       video.play().catch((e) => abort(e));
-      intervalId = setInterval(tick, DETECTION_INTERVAL_MS);
     }
 
     video.addEventListener('seeked', startProcessing, { once: true });
-    video.addEventListener('error', (e) => abort(new Error('Video error during export')), { once: true });
+    video.addEventListener('ended', finish);
+    video.addEventListener('error', onVideoError, { once: true });
+    if (opts.signal) opts.signal.addEventListener('abort', onAbort);
 
-    video.currentTime = 0;
+    video.currentTime = rangeStart;
+  });
+}
+
+/**
+ * Transcribes the video (or a range of it, see transcribeVideo) and builds a
+ * Type 1 MIDI file (one track per hand) starting at the start of the range.
+ *
+ * The tempo map follows the beats found in the transcription (see
+ * estimateBeatGrid), falling back to a fixed 120 BPM when there is no pulse.
+ *
+ * @param {HTMLVideoElement} video
+ * @param {AudioContext} audioCtx
+ * @param {function(number): void} [onProgress]  Called with progress 0–1
+ * @param {object} [options]  transcribeVideo() options, plus:
+ * @param {{grid: string, strength: number}} [options.quantize]  see buildMidiFile
+ * @returns {Promise<Uint8Array|null>}  null when no notes were detected
+ */
+async function exportVideoToMidi(video, audioCtx, onProgress, options) {
+  const opts = options || {};
+  const transcript = await transcribeVideo(video, audioCtx, onProgress, opts);
+  if (!transcript) return null;
+  return buildMidiFile(transcript.notes, transcript.harmonyEvents, {
+    splitHands: true,
+    pedalEvents: transcript.pedalEvents,
+    beatGrid: estimateBeatGrid(transcript.notes),
+    quantize: opts.quantize,
   });
 }
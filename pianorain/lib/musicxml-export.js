@@ -0,0 +1,344 @@
+// lib/musicxml-export.js — MusicXML export for PianoRain
+// Writes a transcription as grand-staff piano notation that notation software
+// (MuseScore, Finale, Sibelius…) can open: note times are mapped onto the
+// beat grid, quantised, split between the treble and bass staves, spelled in
+// the estimated key and tied across bar lines.
+// Depends on buildTempoMap(), timeToTick(), MIDI_TICKS_PER_QUARTER,
+// transcribeVideo(), downloadBlob() from lib/midi-export.js, estimateBeatGrid() from
+// lib/beat-tracker.js and keySignatureFifths() / spellPitchClass() from
+// lib/harmony.js (loaded as prior content scripts).
+
+// Duration units per quarter note: divisible by both 1/16 (3) and triplet
+// (1/8T = 4, 1/16T = 2) grids
+const XML_DIVISIONS = 12;
+// Grid step (in divisions) of each quantisation choice; notation always needs
+// a grid, so 'off' falls back to 1/16
+const XML_GRIDS = { '1/8': 6, '1/16': 3, '1/8T': 4, '1/16T': 2 };
+const XML_DEFAULT_GRID = '1/16';
+const XML_BEATS_PER_BAR = 4;
+const XML_BAR_DIVISIONS = XML_BEATS_PER_BAR * XML_DIVISIONS;
+
+// Note values that can be written, in divisions: type, dots, and whether the
+// value is a triplet (3 in the time of 2)
+const XML_NOTE_VALUES = [
+  { duration: 48, type: 'whole', dots: 0, triplet: false },
+  { duration: 36, type: 'half', dots: 1, triplet: false },
+  { duration: 24, type: 'half', dots: 0, triplet: false },
+  { duration: 18, type: 'quarter', dots: 1, triplet: false },
+  { duration: 12, type: 'quarter', dots: 0, triplet: false },
+  { duration: 9, type: 'eighth', dots: 1, triplet: false },
+  { duration: 8, type: 'quarter', dots: 0, triplet: true },
+  { duration: 6, type: 'eighth', dots: 0, triplet: false },
+  { duration: 4, type: 'eighth', dots: 0, triplet: true },
+  { duration: 3, type: '16th', dots: 0, triplet: false },
+  { duration: 2, type: '16th', dots: 0, triplet: true },
+];
+
+// Pitch class of each natural step
+const XML_STEP_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Escapes text for use in XML content.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Splits a duration into writable note values (fewest pieces, longest first).
+ * @param {number} duration  - divisions, a multiple of 2 or 3
+ * @returns {Array<object>} entries of XML_NOTE_VALUES
+ */
+function splitDuration(duration) {
+  // best[d] = fewest values summing to d, as the first value to take
+  const best = new Array(duration + 1).fill(null);
+  const count = new Array(duration + 1).fill(Infinity);
+  count[0] = 0;
+  for (let d = 1; d <= duration; d++) {
+    for (const value of XML_NOTE_VALUES) {
+      if (value.duration <= d && count[d - value.duration] + 1 < count[d]) {
+        count[d] = count[d - value.duration] + 1;
+        best[d] = value;
+      }
+    }
+  }
+  const pieces = [];
+  for (let d = duration; d > 0 && best[d]; d -= best[d].duration) pieces.push(best[d]);
+  return pieces;
+}
+
+/**
+ * Returns the key that holds for the longest stretch of the transcription.
+ * @param {Array<{type: string, time: number, key?: object}>} harmonyEvents
+ * @param {number} endTime  - seconds
+ * @returns {{tonic: number, mode: string}|null}
+ */
+function predominantKey(harmonyEvents, endTime) {
+  const keyEvents = (harmonyEvents || []).filter((ev) => ev.type === 'key');
+  let bestKey = null;
+  let bestLength = -1;
+  keyEvents.forEach((ev, i) => {
+    const until = i + 1 < keyEvents.length ? keyEvents[i + 1].time : endTime;
+    if (until - ev.time > bestLength) {
+      bestLength = until - ev.time;
+      bestKey = ev.key;
+    }
+  });
+  return bestKey;
+}
+
+/**
+ * Spells a MIDI note in a key as a MusicXML pitch.
+ * @param {number} midi
+ * @param {{tonic: number, mode: string}|null} key
+ * @returns {{step: string, alter: number, octave: number}}
+ */
+function spellXmlPitch(midi, key) {
+  const name = spellPitchClass(midi % 12, key);
+  const step = name[0];
+  const alter = name.split('#').length - name.split('b').length;
+  const octave = (midi - alter - XML_STEP_PITCH_CLASSES[step]) / 12 - 1;
+  return { step, alter, octave };
+}
+
+/**
+ * Cuts one staff's quantised notes into slices at every note start, note end
+ * and bar line. Each slice is a chord (or rest) of the notes sounding through
+ * it; a note spanning several slices is tied across them.
+ * @param {Array<{midi: number, start: number, end: number}>} staffNotes  - divisions
+ * @param {number} totalDuration  - divisions, a whole number of bars
+ * @returns {Array<{start: number, duration: number, notes: Array<{midi: number, tieStart: boolean, tieStop: boolean}>}>}
+ */
+function sliceStaff(staffNotes, totalDuration) {
+  const boundaries = new Set([0, totalDuration]);
+  for (let bar = XML_BAR_DIVISIONS; bar < totalDuration; bar += XML_BAR_DIVISIONS) boundaries.add(bar);
+  for (const note of staffNotes) {
+    boundaries.add(note.start);
+    boundaries.add(note.end);
+  }
+  const times = Array.from(boundaries).sort((a, b) => a - b);
+
+  const slices = [];
+  for (let i = 0; i + 1 < times.length; i++) {
+    const start = times[i];
+    const end = times[i + 1];
+    const sounding = new Map(); // midi → { tieStart, tieStop }
+    for (const note of staffNotes) {
+      if (note.start > start || note.end <= start) continue;
+      const prev = sounding.get(note.midi);
+      sounding.set(note.midi, {
+        midi: note.midi,
+        tieStart: (prev && prev.tieStart) || note.end > end,
+        tieStop: (prev ? prev.tieStop : true) && note.start < start,
+      });
+    }
+    slices.push({
+      start,
+      duration: end - start,
+      notes: Array.from(sounding.values()).sort((a, b) => a.midi - b.midi),
+    });
+  }
+  return slices;
+}
+
+/**
+ * Writes one slice as <note> elements, splitting its duration into writable
+ * values tied together.
+ * @param {{duration: number, notes: Array<object>}} slice
+ * @param {number} staff  - 1 (treble) or 2 (bass)
+ * @param {{tonic: number, mode: string}|null} key
+ * @returns {string[]} XML lines
+ */
+function sliceToXml(slice, staff, key) {
+  const voice = staff === 1 ? 1 : 5;
+  const pieces = splitDuration(slice.duration);
+  const lines = [];
+
+  pieces.forEach((piece, p) => {
+    const timing = [
+      `<duration>${piece.duration}</duration>`,
+    ];
+    const typeXml = [
+      `<voice>${voice}</voice>`,
+      `<type>${piece.type}</type>`,
+      ...Array(piece.dots).fill('<dot/>'),
+      ...(piece.triplet
+        ? ['<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>']
+        : []),
+      `<staff>${staff}</staff>`,
+    ];
+
+    if (slice.notes.length === 0) {
+      lines.push(`<note><rest/>${timing.join('')}${typeXml.join('')}</note>`);
+      return;
+    }
+
+    slice.notes.forEach((note, n) => {
+      const tieStop = p > 0 || note.tieStop;
+      const tieStart = p < pieces.length - 1 || note.tieStart;
+      const pitch = spellXmlPitch(note.midi, key);
+      const ties = [];
+      const tied = [];
+      if (tieStop) {
+        ties.push('<tie type="stop"/>');
+        tied.push('<tied type="stop"/>');
+      }
+      if (tieStart) {
+        ties.push('<tie type="start"/>');
+        tied.push('<tied type="start"/>');
+      }
+      lines.push(
+        '<note>' +
+        (n > 0 ? '<chord/>' : '') +
+        `<pitch><step>${pitch.step}</step>` +
+        (pitch.alter ? `<alter>${pitch.alter}</alter>` : '') +
+        `<octave>${pitch.octave}</octave></pitch>` +
+        timing.join('') + ties.join('') + typeXml.join('') +
+        (tied.length ? `<notations>${tied.join('')}</notations>` : '') +
+        '</note>'
+      );
+    });
+  });
+  return lines;
+}
+
+/**
+ * Builds a MusicXML (score-partwise 4.0) document for one piano part on a
+ * grand staff.
+ *
+ * Note times are mapped onto the beat grid (as the MIDI export's tempo map
+ * does) and snapped to the quantisation grid. Notes go to the treble staff
+ * (right hand) or the bass staff (left hand) by their `hand`, or by pitch
+ * when a split point is given. Pitches are spelled with the sharps or flats
+ * of the key that holds longest in `harmonyEvents`.
+ *
+ * @param {Array<{midi: number, startTime: number, endTime: number, hand?: string}>} notes
+ * @param {Array<{type: string, time: number, key?: object}>} [harmonyEvents]
+ * @param {object} [options]
+ * @param {object|null} [options.beatGrid]  - from estimateBeatGrid()
+ * @param {string} [options.grid]  - a key of XML_GRIDS (default 1/16)
+ * @param {number|null} [options.splitPoint]  - MIDI note: lower notes go to the
+ *        bass staff; null to follow each note's hand
+ * @param {string} [options.title]
+ * @returns {string}
+ */
+function buildMusicXml(notes, harmonyEvents, options) {
+  const opts = options || {};
+  const gridStep = XML_GRIDS[opts.grid] || XML_GRIDS[XML_DEFAULT_GRID];
+  const firstStart = notes.reduce((min, note) => Math.min(min, note.startTime), Infinity);
+  const lastEnd = notes.reduce((max, note) => Math.max(max, note.endTime), 0);
+  const tempoMap = buildTempoMap(opts.beatGrid || null, isFinite(firstStart) ? firstStart : 0);
+  const key = predominantKey(harmonyEvents, lastEnd);
+
+  // Seconds → quantised divisions
+  const toDivisions = (time) => {
+    const quarters = timeToTick(tempoMap, time) / MIDI_TICKS_PER_QUARTER;
+    return Math.max(0, Math.round(quarters * XML_DIVISIONS / gridStep) * gridStep);
+  };
+
+  const staves = { 1: [], 2: [] };
+  for (const note of notes) {
+    const start = toDivisions(note.startTime);
+    const end = Math.max(start + gridStep, toDivisions(note.endTime));
+    const bass = typeof opts.splitPoint === 'number'
+      ? note.midi < opts.splitPoint
+      : note.hand === 'left';
+    staves[bass ? 2 : 1].push({ midi: note.midi, start, end });
+  }
+
+  const lastDivision = Math.max(0, ...staves[1].map((n) => n.end), ...staves[2].map((n) => n.end));
+  const measureCount = Math.max(1, Math.ceil(lastDivision / XML_BAR_DIVISIONS));
+  const totalDuration = measureCount * XML_BAR_DIVISIONS;
+  const slices = { 1: sliceStaff(staves[1], totalDuration), 2: sliceStaff(staves[2], totalDuration) };
+
+  const bpm = Math.round(60 / (tempoMap[0].secondsPerTick * MIDI_TICKS_PER_QUARTER));
+  const fifths = key ? keySignatureFifths(key) : 0;
+  const title = escapeXml(opts.title || 'PianoRain Transcription');
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" ' +
+      '"http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `<work><work-title>${title}</work-title></work>`,
+    '<identification><encoding><software>PianoRain</software></encoding></identification>',
+    '<part-list><score-part id="P1"><part-name>Piano</part-name></score-part></part-list>',
+    '<part id="P1">',
+  ];
+
+  for (let m = 0; m < measureCount; m++) {
+    const barStart = m * XML_BAR_DIVISIONS;
+    const barEnd = barStart + XML_BAR_DIVISIONS;
+    lines.push(`<measure number="${m + 1}">`);
+    if (m === 0) {
+      lines.push(
+        '<attributes>' +
+        `<divisions>${XML_DIVISIONS}</divisions>` +
+        `<key><fifths>${fifths}</fifths><mode>${key ? key.mode : 'major'}</mode></key>` +
+        `<time><beats>${XML_BEATS_PER_BAR}</beats><beat-type>4</beat-type></time>` +
+        '<staves>2</staves>' +
+        '<clef number="1"><sign>G</sign><line>2</line></clef>' +
+        '<clef number="2"><sign>F</sign><line>4</line></clef>' +
+        '</attributes>',
+        '<direction placement="above"><direction-type><metronome>' +
+        `<beat-unit>quarter</beat-unit><per-minute>${bpm}</per-minute>` +
+        `</metronome></direction-type><sound tempo="${bpm}"/></direction>`
+      );
+    }
+
+    for (const staff of [1, 2]) {
+      if (staff === 2) lines.push(`<backup><duration>${XML_BAR_DIVISIONS}</duration></backup>`);
+      const barSlices = slices[staff].filter((slice) => slice.start >= barStart && slice.start < barEnd);
+      if (barSlices.every((slice) => slice.notes.length === 0)) {
+        lines.push(
+          `<note><rest measure="yes"/><duration>${XML_BAR_DIVISIONS}</duration>` +
+          `<voice>${staff === 1 ? 1 : 5}</voice><staff>${staff}</staff></note>`
+        );
+        continue;
+      }
+      for (const slice of barSlices) lines.push(...sliceToXml(slice, staff, key));
+    }
+    lines.push('</measure>');
+  }
+
+  lines.push('</part>', '</score-partwise>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Triggers a browser download of a MusicXML document.
+ * @param {string} xml
+ * @param {string} filename
+ */
+function downloadMusicXmlFile(xml, filename) {
+  downloadBlob(new Blob([xml], { type: 'application/vnd.recordare.musicxml+xml' }), filename);
+}
+
+/**
+ * Transcribes the video (or a range of it, see transcribeVideo) and writes it
+ * as MusicXML.
+ *
+ * @param {HTMLVideoElement} video
+ * @param {AudioContext} audioCtx
+ * @param {function(number): void} [onProgress]  Called with progress 0–1
+ * @param {object} [options]  transcribeVideo() options, plus `grid`,
+ *        `splitPoint` and `title` (see buildMusicXml)
+ * @returns {Promise<string|null>}  null when no notes were detected
+ */
+async function exportVideoToMusicXml(video, audioCtx, onProgress, options) {
+  const opts = options || {};
+  const transcript = await transcribeVideo(video, audioCtx, onProgress, opts);
+  if (!transcript) return null;
+  return buildMusicXml(transcript.notes, transcript.harmonyEvents, {
+    beatGrid: estimateBeatGrid(transcript.notes),
+    grid: opts.grid,
+    splitPoint: opts.splitPoint,
+    title: opts.title,
+  });
+}
@@ -0,0 +1,148 @@
+// lib/neural-detector.js — CPU-only neural detector backend for PianoRain
+// A small fully-connected network that maps a few frames of per-key spectral
+// energy to 88 note probabilities. Inference is plain JavaScript (no WebGL,
+// no WASM). Weights are loaded from vendor/models/ (see README there); the
+// backend registers itself with registerDetectorBackend() from
+// lib/note-detector.js only once they have loaded, so without a model file it
+// isn't offered at all.
+
+const NEURAL_KEY_COUNT = MIDI_MAX - MIDI_MIN + 1; // 88
+const NEURAL_MODEL_VERSION = 1;
+
+let neuralModel = null;
+let neuralLoadPromise = null;
+
+// Most recent per-key feature frames (oldest first), for the model's context
+let neuralContext = [];
+
+/**
+ * Reduces a dB spectrum to one value per piano key: the strongest bin within
+ * ±half a semitone of the key's fundamental, mapped from −100…0 dB to 0…1.
+ * @param {Float32Array} freqData
+ * @param {number} sampleRate
+ * @returns {Float32Array} NEURAL_KEY_COUNT features
+ */
+function computeKeyFeatures(freqData, sampleRate) {
+  const binCount = freqData.length;
+  const binHz = sampleRate / (binCount * 2);
+  const features = new Float32Array(NEURAL_KEY_COUNT);
+  for (let k = 0; k < NEURAL_KEY_COUNT; k++) {
+    const f0 = midiToFreq(MIDI_MIN + k);
+    const lo = Math.max(0, Math.floor(f0 * Math.pow(2, -1 / 24) / binHz));
+    const hi = Math.min(binCount - 1, Math.ceil(f0 * Math.pow(2, 1 / 24) / binHz));
+    let peak = -Infinity;
+    for (let i = lo; i <= hi; i++) {
+      if (freqData[i] > peak) peak = freqData[i];
+    }
+    features[k] = Math.min(1, Math.max(0, (peak + 100) / 100));
+  }
+  return features;
+}
+
+/**
+ * Validates a parsed model file and converts its weights to typed arrays.
+ * @param {object} json
+ * @returns {{contextFrames: number, threshold: number, layers: Array}}
+ */
+function parseNeuralModel(json) {
+  if (!json || json.version !== NEURAL_MODEL_VERSION) {
+    throw new Error(`Unsupported model version: ${json && json.version}`);
+  }
+  const contextFrames = json.contextFrames || 1;
+  let inputSize = NEURAL_KEY_COUNT * contextFrames;
+  const layers = (json.layers || []).map((layer, i) => {
+    const outputSize = layer.bias.length;
+    if (layer.weights.length !== outputSize * inputSize) {
+      throw new Error(`Layer ${i}: expected ${outputSize}×${inputSize} weights`);
+    }
+    const parsed = {
+      inputSize,
+      outputSize,
+      weights: Float32Array.from(layer.weights),
+      bias: Float32Array.from(layer.bias),
+      activation: layer.activation || 'relu',
+    };
+    inputSize = outputSize;
+    return parsed;
+  });
+  if (layers.length === 0 || inputSize !== NEURAL_KEY_COUNT) {
+    throw new Error(`Model must end in ${NEURAL_KEY_COUNT} outputs`);
+  }
+  return { contextFrames, threshold: json.threshold || 0.5, layers };
+}
+
+/**
+ * Runs the network forward on one input vector.
+ * @param {Float32Array} input
+ * @returns {Float32Array} per-key probabilities
+ */
+function runNeuralModel(input) {
+  let x = input;
+  for (const layer of neuralModel.layers) {
+    const y = new Float32Array(layer.outputSize);
+    for (let o = 0; o < layer.outputSize; o++) {
+      let sum = layer.bias[o];
+      const row = o * layer.inputSize;
+      for (let i = 0; i < layer.inputSize; i++) sum += layer.weights[row + i] * x[i];
+      if (layer.activation === 'relu') sum = Math.max(0, sum);
+      else if (layer.activation === 'sigmoid') sum = 1 / (1 + Math.exp(-sum));
+      y[o] = sum;
+    }
+    x = y;
+  }
+  return x;
+}
+
+/**
+ * Loads the model weights and, if they are valid, registers the backend.
+ * Safe to call when the file is absent.
+ * @param {string} modelUrl  - chrome.runtime.getURL('vendor/models/pianorain-mlp.json')
+ * @returns {Promise<boolean>} true when the backend is registered
+ */
+function loadNeuralDetector(modelUrl) {
+  if (neuralLoadPromise) return neuralLoadPromise;
+
+  neuralLoadPromise = (async () => {
+    try {
+      const response = await fetch(modelUrl);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      neuralModel = parseNeuralModel(await response.json());
+      registerDetectorBackend(neuralBackend);
+      return true;
+    } catch (e) {
+      neuralModel = null;
+      console.warn('[PianoRain] Neural detector model not available:', e.message);
+      return false;
+    }
+  })();
+
+  return neuralLoadPromise;
+}
+
+// Registered by loadNeuralDetector() once the model is in
+const neuralBackend = {
+  id: 'neural',
+  label: 'Neural (CPU)',
+  polyphonic: true,
+  // The model looks at the previous frames too, so a note is only fully
+  // visible to it after its context window has filled
+  latencyMs: 20,
+  status: () => 'ready',
+  detect: (freqData, timeData, sampleRate) => {
+    neuralContext.push(computeKeyFeatures(freqData, sampleRate));
+    while (neuralContext.length > neuralModel.contextFrames) neuralContext.shift();
+    if (neuralContext.length < neuralModel.contextFrames) return [];
+
+    const input = new Float32Array(NEURAL_KEY_COUNT * neuralModel.contextFrames);
+    neuralContext.forEach((frame, i) => input.set(frame, i * NEURAL_KEY_COUNT));
+    const probabilities = runNeuralModel(input);
+
+    const notes = [];
+    for (let k = 0; k < NEURAL_KEY_COUNT; k++) {
+      if (probabilities[k] >= neuralModel.threshold) {
+        notes.push({ midi: MIDI_MIN + k, confidence: probabilities[k] });
+      }
+    }
+    return notes;
+  },
+};
@@ -0,0 +1,285 @@
+// lib/noise-floor.js — Adaptive noise floor for PianoRain
+// Replaces the fixed AMPLITUDE_THRESHOLD_DB gate with one that follows the
+// recording. The spectrum is split into third-octave bands; each band's floor
+// follows the median of its bins (so isolated tonal peaks don't count as
+// noise), falling quickly during quiet passages and rising only slowly while
+// music plays.
+// The gate is the floor plus NOISE_GATE_MARGIN_DB.
+//
+// The detection functions in lib/note-detector.js read the gate through
+// noiseGateAt() / noiseGateLevel(). A tracker's process() installs its gate as
+// the current one, so the live view and the MIDI exporter can each run their
+// own tracker and install it right before detecting on their frame.
+
+// Third-octave bands covering the piano fundamentals and their partials
+const NOISE_BAND_MIN_HZ = 25;
+const NOISE_BANDS_PER_OCTAVE = 3;
+const NOISE_BAND_COUNT = 28; // 25 Hz … ~16 kHz
+// Narrow low bands are widened to this many bins so the percentile means something
+const NOISE_MIN_BAND_BINS = 16;
+// Band level = this percentile of its bins' dB values (robust to note peaks)
+const NOISE_BAND_PERCENTILE = 0.5;
+
+// Floor time constants (seconds of media time): fall fast; rise slowly while
+// the band looks like noise (under the gate), and much more slowly while it
+// holds notes, so long chords don't lift the floor but louder noise is
+// eventually learned
+const NOISE_FLOOR_FALL_SECONDS = 0.5;
+const NOISE_FLOOR_RISE_SECONDS = 8;
+const NOISE_FLOOR_SIGNAL_RISE_SECONDS = 60;
+
+// Gate = floor + margin, clamped to a sane range. The margin clears the
+// random peaks of broadband noise, which reach ~12 dB above its median
+const NOISE_GATE_MARGIN_DB = 15;
+const NOISE_GATE_MIN_DB = -100;
+const NOISE_GATE_MAX_DB = -30;
+
+// Default length of a calibration run started from the popup
+const NOISE_CALIBRATION_SECONDS = 3;
+// A calibration still short of its media time after this many wall-clock
+// seconds beyond its length gives up (frames stopped arriving)
+const NOISE_CALIBRATION_GRACE_SECONDS = 5;
+
+// Gate in use by the detection functions: { bins: Float32Array, level: number },
+// or null for the fixed AMPLITUDE_THRESHOLD_DB gate
+let currentNoiseGate = null;
+
+/**
+ * Returns the noise gate (dB) for one spectrum bin.
+ * @param {number} bin
+ * @returns {number}
+ */
+function noiseGateAt(bin) {
+  if (!currentNoiseGate) return AMPLITUDE_THRESHOLD_DB;
+  const bins = currentNoiseGate.bins;
+  return bins[Math.min(bin, bins.length - 1)];
+}
+
+/**
+ * Returns a single broadband gate level (dB): the mean gate over the bands
+ * holding piano fundamentals. Used where there is no spectrum (YIN).
+ * @returns {number}
+ */
+function noiseGateLevel() {
+  return currentNoiseGate ? currentNoiseGate.level : AMPLITUDE_THRESHOLD_DB;
+}
+
+/**
+ * Restores the fixed gate (e.g. when capture stops).
+ */
+function clearNoiseGate() {
+  currentNoiseGate = null;
+}
+
+/**
+ * Creates an adaptive noise-floor tracker.
+ *
+ * @param {{floors: number[], calibrated: boolean}} [profile]  - starting floor,
+ *        e.g. the live tracker's getProfile() when the exporter starts
+ * @returns {{
+ *   process: function(Float32Array, number, number): void,
+ *   calibrate: function(number=): Promise<{floorDb: number}>,
+ *   getProfile: function(): {floors: number[], calibrated: boolean},
+ *   getStatus: function(): {floorDb: number|null, mode: string},
+ *   reset: function(): void
+ * }}
+ */
+function createNoiseFloorTracker(profile) {
+  // Per-band floor in dB (null until the first frame)
+  let floors = profile && profile.floors && profile.floors.length === NOISE_BAND_COUNT
+    ? Float32Array.from(profile.floors)
+    : null;
+  let calibrated = !!(profile && profile.calibrated && floors);
+  let lastTime = null;
+
+  // Bin ranges per band, rebuilt when the spectrum size or sample rate changes
+  let layout = null;
+  const gate = { bins: null, level: AMPLITUDE_THRESHOLD_DB };
+
+  // Calibration in progress: { seconds, startTime, sums, frames, timer, resolve, reject }
+  let calibration = null;
+
+  function buildLayout(binCount, sampleRate) {
+    const binHz = sampleRate / (binCount * 2);
+    const bands = [];
+    for (let b = 0; b < NOISE_BAND_COUNT; b++) {
+      const loHz = NOISE_BAND_MIN_HZ * Math.pow(2, b / NOISE_BANDS_PER_OCTAVE);
+      const hiHz = loHz * Math.pow(2, 1 / NOISE_BANDS_PER_OCTAVE);
+      let lo = Math.floor(loHz / binHz);
+      let hi = Math.ceil(hiHz / binHz);
+      if (hi - lo < NOISE_MIN_BAND_BINS) {
+        const centre = (lo + hi) / 2;
+        lo = Math.round(centre - NOISE_MIN_BAND_BINS / 2);
+        hi = lo + NOISE_MIN_BAND_BINS;
+      }
+      lo = Math.max(1, Math.min(binCount - 2, lo));
+      hi = Math.max(lo + 1, Math.min(binCount - 1, hi));
+      bands.push({ lo, hi, centreHz: Math.sqrt(loHz * hiHz) });
+    }
+    // Bands whose centre lies in the piano's fundamental range (for the level)
+    const fundamentalBands = [];
+    bands.forEach((band, b) => {
+      if (band.centreHz >= midiToFreq(MIDI_MIN) && band.centreHz <= midiToFreq(MIDI_MAX)) {
+        fundamentalBands.push(b);
+      }
+    });
+    return { binCount, sampleRate, binHz, bands, fundamentalBands, scratch: new Float32Array(binCount) };
+  }
+
+  function bandLevels(freqData) {
+    const levels = new Float32Array(NOISE_BAND_COUNT);
+    layout.bands.forEach((band, b) => {
+      const values = layout.scratch.subarray(0, band.hi - band.lo + 1);
+      values.set(freqData.subarray(band.lo, band.hi + 1));
+      values.sort();
+      levels[b] = values[Math.floor((values.length - 1) * NOISE_BAND_PERCENTILE)];
+    });
+    return levels;
+  }
+
+  /** Recomputes the per-bin gate from the band floors. */
+  function updateGate() {
+    const { binCount, bands, fundamentalBands } = layout;
+    if (!gate.bins || gate.bins.length !== binCount) gate.bins = new Float32Array(binCount);
+
+    const bandGates = Array.from(floors, (floor) => (
+      Math.min(NOISE_GATE_MAX_DB, Math.max(NOISE_GATE_MIN_DB, floor + NOISE_GATE_MARGIN_DB))
+    ));
+    // Each bin takes the gate of the band it falls in; bins below the first
+    // band or above the last take the nearest band's gate
+    let b = 0;
+    for (let i = 0; i < binCount; i++) {
+      while (b < NOISE_BAND_COUNT - 1 && i > bands[b].hi) b++;
+      gate.bins[i] = bandGates[b];
+    }
+    let sum = 0;
+    for (const fb of fundamentalBands) sum += bandGates[fb];
+    gate.level = fundamentalBands.length ? sum / fundamentalBands.length : AMPLITUDE_THRESHOLD_DB;
+  }
+
+  /**
+   * Feeds one frame into the floor estimate (or the running calibration) and
+   * installs this tracker's gate for the detection functions.
+   * @param {Float32Array} freqData  - dB values from AnalyserNode.getFloatFrequencyData
+   * @param {number} sampleRate
+   * @param {number} time  - media time of the frame (seconds)
+   */
+  function process(freqData, sampleRate, time) {
+    if (!layout || layout.binCount !== freqData.length || layout.sampleRate !== sampleRate) {
+      layout = buildLayout(freqData.length, sampleRate);
+    }
+    const levels = bandLevels(freqData);
+    const dt = lastTime !== null && time > lastTime ? time - lastTime : 0;
+    lastTime = time;
+
+    if (calibration) {
+      // A seek back restarts the calibration window
+      if (calibration.startTime === null || time < calibration.startTime) {
+        calibration.startTime = time;
+        calibration.sums.fill(0);
+        calibration.frames = 0;
+      }
+      for (let b = 0; b < NOISE_BAND_COUNT; b++) calibration.sums[b] += levels[b];
+      calibration.frames++;
+      if (time - calibration.startTime >= calibration.seconds) finishCalibration();
+    } else if (!floors) {
+      floors = levels;
+    } else {
+      const fall = 1 - Math.exp(-dt / NOISE_FLOOR_FALL_SECONDS);
+      const rise = 1 - Math.exp(-dt / NOISE_FLOOR_RISE_SECONDS);
+      const signalRise = 1 - Math.exp(-dt / NOISE_FLOOR_SIGNAL_RISE_SECONDS);
+      for (let b = 0; b < NOISE_BAND_COUNT; b++) {
+        const diff = levels[b] - floors[b];
+        if (diff < 0) floors[b] += diff * fall;
+        else floors[b] += diff * (diff < NOISE_GATE_MARGIN_DB ? rise : signalRise);
+      }
+    }
+
+    if (floors) {
+      updateGate();
+      currentNoiseGate = gate;
+    } else {
+      currentNoiseGate = null;
+    }
+  }
+
+  function finishCalibration() {
+    const { sums, frames, timer, resolve } = calibration;
+    clearTimeout(timer);
+    calibration = null;
+    floors = Float32Array.from(sums, (sum) => sum / frames);
+    calibrated = true;
+    if (layout) updateGate();
+    resolve({ floorDb: getStatus().floorDb });
+  }
+
+  /**
+   * Measures the floor over the next `seconds` of media time, which should be
+   * silent (or room noise only). The result replaces the learned floor; it
+   * keeps adapting afterwards.
+   * @param {number} [seconds]  - defaults to NOISE_CALIBRATION_SECONDS
+   * @returns {Promise<{floorDb: number}>} rejects if the tracker is reset
+   *          first, or if frames stop arriving (NOISE_CALIBRATION_GRACE_SECONDS)
+   */
+  function calibrate(seconds) {
+    abortCalibration(new Error('Calibration restarted'));
+    const length = seconds || NOISE_CALIBRATION_SECONDS;
+    return new Promise((resolve, reject) => {
+      calibration = {
+        seconds: length,
+        startTime: null,
+        sums: new Float32Array(NOISE_BAND_COUNT),
+        frames: 0,
+        timer: setTimeout(
+          () => abortCalibration(new Error('Calibration timed out. Play a quiet passage to calibrate.')),
+          (length + NOISE_CALIBRATION_GRACE_SECONDS) * 1000
+        ),
+        resolve,
+        reject,
+      };
+    });
+  }
+
+  /** Rejects the running calibration, if any. */
+  function abortCalibration(err) {
+    if (!calibration) return;
+    clearTimeout(calibration.timer);
+    const { reject } = calibration;
+    calibration = null;
+    reject(err);
+  }
+
+  /**
+   * Returns the current floor so another tracker can start from it.
+   * @returns {{floors: number[], calibrated: boolean}}
+   */
+  function getProfile() {
+    return { floors: floors ? Array.from(floors) : [], calibrated };
+  }
+
+  /**
+   * Summary for the popup: the mean floor over the piano's fundamental range.
+   * @returns {{floorDb: number|null, mode: string}}  mode is 'calibrating',
+   *          'calibrated', 'adaptive' or 'fixed' (nothing learned yet)
+   */
+  function getStatus() {
+    let mode = calibrated ? 'calibrated' : 'adaptive';
+    if (calibration) mode = 'calibrating';
+    else if (!floors) mode = 'fixed';
+    if (!floors || !layout) return { floorDb: null, mode };
+
+    let sum = 0;
+    for (const b of layout.fundamentalBands) sum += floors[b];
+    return { floorDb: sum / layout.fundamentalBands.length, mode };
+  }
+
+  function reset() {
+    abortCalibration(new Error('Calibration interrupted'));
+    floors = null;
+    calibrated = false;
+    lastTime = null;
+    if (currentNoiseGate === gate) currentNoiseGate = null;
+  }
+
+  return { process, calibrate, getProfile, getStatus, reset };
+}
@@ -1,8 +1,11 @@
 // lib/note-detector.js — Pitch detection and MIDI conversion for PianoRain
 //
-// Essentia.js WASM is loaded at runtime via the vendor/ bundle.
-// Until the WASM module is available, a lightweight FFT-based peak-picking
-// fallback is used so the extension works out of the box.
+// Every detector (harmonic-sum multi-pitch, FFT peak-picking, YIN, Essentia
+// and backends from other files) is a backend in a registry selectable from
+// the popup; detectNotesEnhanced() runs the selected one, or the default
+// harmonic-sum detector while it isn't ready.
+// Essentia.js WASM is loaded at runtime from the vendor/ bundle into a Web
+// Worker (lib/essentia-worker.js).
 
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
@@ -10,17 +13,72 @@ const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#',
 const MIDI_MIN = 21;
 const MIDI_MAX = 108;
 
-// Noise gate: minimum amplitude in dB for a frequency bin to be considered
+// Noise gate: minimum amplitude in dB for a frequency bin to be considered.
+// Fixed fallback only — once lib/noise-floor.js has learned the recording's
+// floor, detection gates relative to it via noiseGateAt()
 const AMPLITUDE_THRESHOLD_DB = -50;
 
+// Polyphonic detection: harmonics summed per candidate, and the per-harmonic
+// weight decay (higher partials contribute less to a candidate's salience)
+const HARMONIC_COUNT = 6;
+const HARMONIC_WEIGHT_DECAY = 0.84;
+
+// Maximum simultaneous notes reported per frame, and the minimum salience of
+// each additional note relative to the strongest one in the same frame
+const MAX_POLYPHONY = 6;
+const MIN_RELATIVE_SALIENCE = 0.2;
+
+// A candidate's fundamental must carry at least this fraction of its strongest
+// partial, otherwise it is treated as a sub-octave ghost of a higher note
+const MIN_FUNDAMENTAL_RATIO = 0.1;
+
+// Onset detection: number of past flux values used for the adaptive threshold,
+// how far above their median an onset must be, and an absolute flux floor (mean
+// dB rise per audible bin) so that steady noise can't trigger onsets
+const ONSET_HISTORY_FRAMES = 16;
+const ONSET_THRESHOLD_MULTIPLIER = 1.5;
+const ONSET_MIN_FLUX = 0.5;
+
+// Rise (dB) of a note's fundamental band at an onset for it to count as re-struck
+const ONSET_PITCH_RISE_DB = 3;
+
+// YIN (time-domain) detector: decimation factor applied before the difference
+// function, and the aperiodicity threshold of the first acceptable dip
+const YIN_DECIMATION = 4;
+const YIN_THRESHOLD = 0.15;
+
+// Concert-pitch estimation: nominal A4, histogram resolution (1-cent bins over
+// ±50 cents), per-frame decay of old evidence, number of frames to collect
+// before the estimate is applied, and the band of spectral peaks used (low
+// partials are too coarse in cents at this FFT size to be useful)
+const DEFAULT_A4_HZ = 440;
+const TUNING_HISTOGRAM_BINS = 100;
+const TUNING_DECAY = 0.998;
+const TUNING_MIN_FRAMES = 90;
+const TUNING_FREQ_MIN = 500;
+const TUNING_FREQ_MAX = 5000;
+
+// Velocity estimation: MIDI velocity assigned to a note as loud as the running
+// reference, velocity units per dB of difference, and the smoothing factor of
+// the reference (fraction of each new onset's energy mixed in)
+const DEFAULT_VELOCITY = 80;
+const VELOCITY_PER_DB = 2.5;
+const VELOCITY_REFERENCE_SMOOTHING = 0.05;
+
+// Current concert-pitch reference, refined while audio plays
+let tuningA4 = DEFAULT_A4_HZ;
+let tuningHistogram = new Float32Array(TUNING_HISTOGRAM_BINS);
+let tuningFrames = 0;
+
 /**
- * Converts a frequency (Hz) to a MIDI note number.
+ * Converts a frequency (Hz) to a MIDI note number, relative to the estimated
+ * concert pitch.
  * @param {number} freq
  * @returns {number}
  */
 function freqToMidi(freq) {
   if (freq <= 0) return -1;
-  return Math.round(12 * Math.log2(freq / 440) + 69);
+  return Math.round(12 * Math.log2(freq / tuningA4) + 69);
 }
 
 /**
@@ -62,11 +120,11 @@ function detectNote(freqData, sampleRate) {
   const binEnd = Math.min(binCount - 1, Math.ceil(freqMax / binHz));
 
   // Find the peak bin within the piano frequency range, above the noise gate
-  let peakAmplitude = AMPLITUDE_THRESHOLD_DB;
+  let peakAmplitude = -Infinity;
   let peakBin = -1;
 
   for (let i = binStart; i <= binEnd; i++) {
-    if (freqData[i] > peakAmplitude) {
+    if (freqData[i] > peakAmplitude && freqData[i] > noiseGateAt(i)) {
       peakAmplitude = freqData[i];
       peakBin = i;
     }
@@ -93,72 +151,786 @@ function detectNote(freqData, sampleRate) {
 }
 
 /**
- * Converts a MIDI note number to its fundamental frequency (Hz).
+ * Returns the strongest linear magnitude within ±half a semitone of `freq`.
+ * @param {Float32Array} mag  - linear magnitude spectrum
+ * @param {number} freq
+ * @param {number} binHz
+ * @returns {{ peak: number, lo: number, hi: number }}  peak value and bin window
+ */
+function peakNearFrequency(mag, freq, binHz) {
+  const lo = Math.max(0, Math.floor(freq * Math.pow(2, -1 / 24) / binHz));
+  const hi = Math.min(mag.length - 1, Math.ceil(freq * Math.pow(2, 1 / 24) / binHz));
+  let peak = 0;
+  for (let i = lo; i <= hi; i++) {
+    if (mag[i] > peak) peak = mag[i];
+  }
+  return { peak, lo, hi };
+}
+
+/**
+ * Computes the harmonic-sum salience of a candidate MIDI note: the weighted
+ * sum of the spectral peaks found at each of its first HARMONIC_COUNT partials.
+ * Returns 0 when the fundamental itself is too weak to be a real note.
+ *
+ * @param {Float32Array} mag  - linear magnitude spectrum
+ * @param {number} midi
+ * @param {number} binHz
+ * @returns {number}
+ */
+function harmonicSalience(mag, midi, binHz) {
+  const f0 = midiToFreq(midi);
+  const nyquist = binHz * mag.length;
+  let salience = 0;
+  let fundamental = 0;
+  let strongest = 0;
+
+  for (let h = 1; h <= HARMONIC_COUNT; h++) {
+    const freq = f0 * h;
+    if (freq >= nyquist) break;
+    const { peak } = peakNearFrequency(mag, freq, binHz);
+    if (h === 1) fundamental = peak;
+    if (peak > strongest) strongest = peak;
+    salience += peak * Math.pow(HARMONIC_WEIGHT_DECAY, h - 1);
+  }
+
+  if (fundamental <= 0 || fundamental < strongest * MIN_FUNDAMENTAL_RATIO) return 0;
+  return salience;
+}
+
+// Magnitude buffer of findNotesBySalience(), which subtracts found notes'
+// partials from it
+let salienceMagnitudes = null;
+
+/**
+ * Detects all simultaneously sounding notes in a frame using iterative
+ * harmonic-sum salience: the most salient candidate is picked, its partials
+ * are subtracted from the spectrum, and the search repeats on the residual
+ * until no candidate is strong enough or MAX_POLYPHONY is reached.
+ *
+ * Each note's confidence is its salience relative to the strongest note.
+ *
+ * @param {Float32Array} freqData  - output of AnalyserNode.getFloatFrequencyData (dB)
+ * @param {number} sampleRate
+ * @returns {Array<{midi: number, confidence: number}>} in ascending pitch order (empty if silence)
+ */
+function findNotesBySalience(freqData, sampleRate) {
+  const binCount = freqData.length;
+  const binHz = sampleRate / (binCount * 2);
+
+  // Linear magnitudes, with everything under the noise gate removed (the
+  // buffer is reused from frame to frame: this runs 100 times a second)
+  if (!salienceMagnitudes || salienceMagnitudes.length !== binCount) {
+    salienceMagnitudes = new Float32Array(binCount);
+  }
+  const mag = salienceMagnitudes;
+  let anyAboveGate = false;
+  for (let i = 0; i < binCount; i++) {
+    if (freqData[i] > noiseGateAt(i)) {
+      mag[i] = Math.pow(10, freqData[i] / 20);
+      anyAboveGate = true;
+    } else {
+      mag[i] = 0;
+    }
+  }
+  if (!anyAboveGate) return [];
+
+  const found = [];
+  let firstSalience = 0;
+
+  while (found.length < MAX_POLYPHONY) {
+    let bestMidi = -1;
+    let bestSalience = 0;
+    for (let midi = MIDI_MIN; midi <= MIDI_MAX; midi++) {
+      if (found.some((note) => note.midi === midi)) continue;
+      const salience = harmonicSalience(mag, midi, binHz);
+      if (salience > bestSalience) {
+        bestSalience = salience;
+        bestMidi = midi;
+      }
+    }
+
+    if (bestMidi < 0) break;
+    if (found.length === 0) {
+      firstSalience = bestSalience;
+    } else if (bestSalience < firstSalience * MIN_RELATIVE_SALIENCE) {
+      break;
+    }
+    found.push({ midi: bestMidi, confidence: bestSalience / firstSalience });
+
+    // Harmonic suppression: remove the partials explained by this note so
+    // they don't vote for its octaves and fifths on the next pass. Partials
+    // shared with another note keep whatever exceeds the expected amplitude.
+    const f0 = midiToFreq(bestMidi);
+    const fundamental = peakNearFrequency(mag, f0, binHz).peak;
+    for (let h = 1; h <= HARMONIC_COUNT; h++) {
+      const freq = f0 * h;
+      if (freq >= binHz * binCount) break;
+      const { peak, lo, hi } = peakNearFrequency(mag, freq, binHz);
+      const expected = Math.min(peak, fundamental * Math.pow(HARMONIC_WEIGHT_DECAY, h - 1));
+      for (let i = lo; i <= hi; i++) {
+        mag[i] = Math.max(0, mag[i] - expected);
+      }
+    }
+  }
+
+  return found.sort((a, b) => a.midi - b.midi);
+}
+
+/**
+ * Estimates a monophonic detection's confidence from how far its fundamental
+ * band rises above the noise gate (0 at the gate, 1 at 40 dB above it).
+ * @param {Float32Array} freqData  - dB values
+ * @param {number} sampleRate
+ * @param {number} midi
+ * @returns {number} 0–1
+ */
+function levelConfidence(freqData, sampleRate, midi) {
+  const binCount = freqData.length;
+  const binHz = sampleRate / (binCount * 2);
+  const f0 = midiToFreq(midi);
+  const lo = Math.max(0, Math.floor(f0 * Math.pow(2, -1 / 24) / binHz));
+  const hi = Math.min(binCount - 1, Math.ceil(f0 * Math.pow(2, 1 / 24) / binHz));
+  let peak = -Infinity;
+  let peakBin = lo;
+  for (let i = lo; i <= hi; i++) {
+    if (freqData[i] > peak) {
+      peak = freqData[i];
+      peakBin = i;
+    }
+  }
+  return Math.min(1, Math.max(0, (peak - noiseGateAt(peakBin)) / 40));
+}
+
+/**
+ * Detects the predominant pitch with the YIN algorithm on time-domain samples.
+ * The frame is decimated by YIN_DECIMATION (piano fundamentals stay well
+ * below the reduced Nyquist) to keep the difference function affordable.
+ *
+ * @param {Float32Array} timeData  - linear values from AnalyserNode.getFloatTimeDomainData
+ * @param {number} sampleRate
+ * @returns {{midi: number, confidence: number}} midi is -1 if no periodic pitch was found
+ */
+function detectNoteYin(timeData, sampleRate) {
+  const rate = sampleRate / YIN_DECIMATION;
+  const length = Math.floor(timeData.length / YIN_DECIMATION);
+  const signal = new Float32Array(length);
+  let energy = 0;
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (let k = 0; k < YIN_DECIMATION; k++) sum += timeData[i * YIN_DECIMATION + k];
+    signal[i] = sum / YIN_DECIMATION;
+    energy += signal[i] * signal[i];
+  }
+  // Same noise gate as the spectral detectors, applied to the RMS level
+  if (10 * Math.log10(energy / length + 1e-20) < noiseGateLevel()) return { midi: -1, confidence: 0 };
+
+  const tauMin = Math.max(2, Math.floor(rate / midiToFreq(MIDI_MAX)));
+  const tauMax = Math.min(Math.floor(length / 2), Math.ceil(rate / midiToFreq(MIDI_MIN)));
+  const windowSize = length - tauMax;
+
+  // Cumulative mean normalised difference function
+  const cmnd = new Float32Array(tauMax + 1);
+  cmnd[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= tauMax; tau++) {
+    let diff = 0;
+    for (let i = 0; i < windowSize; i++) {
+      const d = signal[i] - signal[i + tau];
+      diff += d * d;
+    }
+    runningSum += diff;
+    cmnd[tau] = runningSum > 0 ? (diff * tau) / runningSum : 1;
+  }
+
+  // First dip below the threshold, then walk to its local minimum
+  let tau = -1;
+  for (let t = tauMin; t <= tauMax; t++) {
+    if (cmnd[t] < YIN_THRESHOLD) {
+      while (t + 1 <= tauMax && cmnd[t + 1] < cmnd[t]) t++;
+      tau = t;
+      break;
+    }
+  }
+  if (tau < 0) return { midi: -1, confidence: 0 };
+
+  // Decimation leaves high notes only a few samples per period, so refine the
+  // lag on the full-rate signal around the coarse estimate, then interpolate
+  const centre = tau * YIN_DECIMATION;
+  const fullWindow = Math.min(timeData.length - centre - YIN_DECIMATION - 1, 2048);
+  const diffAt = (lag) => {
+    let diff = 0;
+    for (let i = 0; i < fullWindow; i++) {
+      const d = timeData[i] - timeData[i + lag];
+      diff += d * d;
+    }
+    return diff;
+  };
+  let bestLag = centre;
+  let bestDiff = Infinity;
+  for (let lag = Math.max(1, centre - YIN_DECIMATION); lag <= centre + YIN_DECIMATION; lag++) {
+    const diff = diffAt(lag);
+    if (diff < bestDiff) {
+      bestDiff = diff;
+      bestLag = lag;
+    }
+  }
+  let refined = bestLag;
+  const a = diffAt(bestLag - 1);
+  const c = diffAt(bestLag + 1);
+  const denom = a - 2 * bestDiff + c;
+  if (denom !== 0) refined = bestLag + 0.5 * (a - c) / denom;
+
+  const midi = freqToMidi(sampleRate / refined);
+  if (midi < MIDI_MIN || midi > MIDI_MAX) return { midi: -1, confidence: 0 };
+  return { midi, confidence: Math.max(0, Math.min(1, 1 - cmnd[tau])) };
+}
+
+/**
+ * Creates an onset detector that tracks spectral flux across successive
+ * getFloatFrequencyData frames. Each instance keeps its own history, so the
+ * live render loop and the MIDI exporter can run independent detectors.
+ *
+ * An onset fires when the half-wave rectified flux (sum of dB increases over
+ * the piano range) rises above an adaptive threshold derived from the median
+ * of recent frames. On an onset frame, every candidate note whose fundamental
+ * band jumped by at least ONSET_PITCH_RISE_DB is reported as re-struck.
+ *
+ * @returns {{
+ *   process: function(Float32Array, number, Iterable<number>): {isOnset: boolean, strength: number, struckMidis: Set<number>},
+ *   reset: function(): void
+ * }}
+ */
+function createOnsetDetector() {
+  let prevFrame = null;
+  let prevFlux = 0;
+  let fluxHistory = [];
+
+  /**
+   * @param {Float32Array} freqData  - dB values from AnalyserNode.getFloatFrequencyData
+   * @param {number} sampleRate
+   * @param {Iterable<number>} [candidateMidis]  - notes to check for re-strikes
+   */
+  function process(freqData, sampleRate, candidateMidis) {
+    const binCount = freqData.length;
+    const binHz = sampleRate / (binCount * 2);
+    const binStart = Math.max(1, Math.floor(midiToFreq(MIDI_MIN) / binHz));
+    const binEnd = Math.min(binCount - 1, Math.ceil(midiToFreq(MIDI_MAX) / binHz));
+    const struckMidis = new Set();
+
+    if (!prevFrame || prevFrame.length !== binCount) {
+      prevFrame = Float32Array.from(freqData);
+      return { isOnset: false, strength: 0, struckMidis };
+    }
+
+    // Half-wave rectified spectral flux, averaged over audible (above-gate) bins
+    let flux = 0;
+    let audibleBins = 0;
+    for (let i = binStart; i <= binEnd; i++) {
+      const gate = noiseGateAt(i);
+      if (freqData[i] <= gate) continue;
+      audibleBins++;
+      const rise = freqData[i] - Math.max(prevFrame[i], gate);
+      if (rise > 0) flux += rise;
+    }
+    if (audibleBins > 0) flux /= audibleBins;
+
+    const sorted = fluxHistory.slice().sort((a, b) => a - b);
+    const median = sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+    const threshold = median * ONSET_THRESHOLD_MULTIPLIER + ONSET_MIN_FLUX;
+
+    // Peak-pick: only the rising edge of a flux burst counts as an onset
+    const isOnset = flux > threshold && flux > prevFlux;
+
+    if (isOnset && candidateMidis) {
+      for (const midi of candidateMidis) {
+        const f0 = midiToFreq(midi);
+        const lo = Math.max(0, Math.floor(f0 * Math.pow(2, -1 / 24) / binHz));
+        const hi = Math.min(binCount - 1, Math.ceil(f0 * Math.pow(2, 1 / 24) / binHz));
+        let now = -Infinity;
+        let before = -Infinity;
+        for (let i = lo; i <= hi; i++) {
+          if (freqData[i] > now) now = freqData[i];
+          if (prevFrame[i] > before) before = prevFrame[i];
+        }
+        if (now - before >= ONSET_PITCH_RISE_DB) struckMidis.add(midi);
+      }
+    }
+
+    fluxHistory.push(flux);
+    if (fluxHistory.length > ONSET_HISTORY_FRAMES) fluxHistory.shift();
+    prevFlux = flux;
+    prevFrame.set(freqData);
+
+    return { isOnset, strength: flux, struckMidis };
+  }
+
+  function reset() {
+    prevFrame = null;
+    prevFlux = 0;
+    fluxHistory = [];
+  }
+
+  return { process, reset };
+}
+
+/**
+ * Creates a velocity estimator. The onset energy of a note (power summed over
+ * its first partials, in dB) is compared against a running reference — an
+ * exponential average of the onset energies of previous notes — so soft and
+ * loud passages map to low and high velocities regardless of the recording's
+ * overall level.
+ *
+ * @returns {{
+ *   estimate: function(number, Float32Array, number): number,
+ *   reset: function(): void
+ * }}
+ */
+function createVelocityEstimator() {
+  let referenceDb = null;
+
+  /**
+   * Estimates the velocity of a note starting in this frame and folds its
+   * energy into the running reference.
+   * @param {number} midi
+   * @param {Float32Array} freqData  - dB values from AnalyserNode.getFloatFrequencyData
+   * @param {number} sampleRate
+   * @returns {number} MIDI velocity 1–127
+   */
+  function estimate(midi, freqData, sampleRate) {
+    const binCount = freqData.length;
+    const binHz = sampleRate / (binCount * 2);
+    const f0 = midiToFreq(midi);
+
+    let power = 0;
+    for (let h = 1; h <= HARMONIC_COUNT; h++) {
+      const freq = f0 * h;
+      if (freq >= binHz * binCount) break;
+      const lo = Math.max(0, Math.floor(freq * Math.pow(2, -1 / 24) / binHz));
+      const hi = Math.min(binCount - 1, Math.ceil(freq * Math.pow(2, 1 / 24) / binHz));
+      let peakDb = -Infinity;
+      for (let i = lo; i <= hi; i++) {
+        if (freqData[i] > peakDb) peakDb = freqData[i];
+      }
+      power += Math.pow(10, peakDb / 10);
+    }
+    if (power <= 0) return DEFAULT_VELOCITY;
+
+    const energyDb = 10 * Math.log10(power);
+    if (referenceDb === null) referenceDb = energyDb;
+    const velocity = Math.round(DEFAULT_VELOCITY + (energyDb - referenceDb) * VELOCITY_PER_DB);
+    referenceDb += (energyDb - referenceDb) * VELOCITY_REFERENCE_SMOOTHING;
+
+    return Math.min(127, Math.max(1, velocity));
+  }
+
+  function reset() {
+    referenceDb = null;
+  }
+
+  return { estimate, reset };
+}
+
+/**
+ * Converts a MIDI note number to its fundamental frequency (Hz), relative to
+ * the estimated concert pitch.
  * @param {number} midi
  * @returns {number}
  */
 function midiToFreq(midi) {
-  return 440 * Math.pow(2, (midi - 69) / 12);
+  return tuningA4 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Feeds one frame into the concert-pitch estimator.
+ *
+ * Every spectral peak in the TUNING_FREQ_MIN–TUNING_FREQ_MAX band is located
+ * with parabolic interpolation, and its deviation from the nearest A4 = 440 Hz
+ * semitone is added to a circular histogram of cents, weighted by magnitude.
+ * Older evidence decays so the estimate keeps refining during playback. Once
+ * TUNING_MIN_FRAMES have been seen, the histogram peak becomes the reference
+ * used by freqToMidi() and midiToFreq().
+ *
+ * @param {Float32Array} freqData  - dB values from AnalyserNode.getFloatFrequencyData
+ * @param {number} sampleRate
+ * @returns {number} current A4 reference in Hz
+ */
+function updateTuningEstimate(freqData, sampleRate) {
+  const binCount = freqData.length;
+  const binHz = sampleRate / (binCount * 2);
+  const binStart = Math.max(1, Math.floor(TUNING_FREQ_MIN / binHz));
+  const binEnd = Math.min(binCount - 2, Math.ceil(TUNING_FREQ_MAX / binHz));
+
+  let sawPeak = false;
+  for (let i = binStart; i <= binEnd; i++) {
+    const beta = freqData[i];
+    if (beta <= noiseGateAt(i)) continue;
+    const alpha = freqData[i - 1];
+    const gamma = freqData[i + 1];
+    if (beta < alpha || beta <= gamma) continue;
+
+    const denom = alpha - 2 * beta + gamma;
+    const offset = denom !== 0 ? 0.5 * (alpha - gamma) / denom : 0;
+    const freq = (i + offset) * binHz;
+    const semitones = 12 * Math.log2(freq / DEFAULT_A4_HZ);
+    const cents = (semitones - Math.round(semitones)) * 100; // −50 … +50
+    const bin = Math.min(TUNING_HISTOGRAM_BINS - 1, Math.floor(cents + 50));
+
+    if (!sawPeak) {
+      for (let b = 0; b < TUNING_HISTOGRAM_BINS; b++) tuningHistogram[b] *= TUNING_DECAY;
+      sawPeak = true;
+    }
+    tuningHistogram[bin] += Math.pow(10, beta / 20);
+  }
+
+  if (!sawPeak) return tuningA4;
+  tuningFrames++;
+  if (tuningFrames < TUNING_MIN_FRAMES) return tuningA4;
+
+  // Peak of the histogram smoothed over ±3 cents (wrapping around ±50)
+  let bestBin = 0;
+  let bestWeight = -1;
+  for (let b = 0; b < TUNING_HISTOGRAM_BINS; b++) {
+    let weight = 0;
+    for (let k = -3; k <= 3; k++) {
+      weight += tuningHistogram[(b + k + TUNING_HISTOGRAM_BINS) % TUNING_HISTOGRAM_BINS];
+    }
+    if (weight > bestWeight) {
+      bestWeight = weight;
+      bestBin = b;
+    }
+  }
+
+  // Refine with the weighted mean of the same neighbourhood
+  let sum = 0;
+  let weightSum = 0;
+  for (let k = -3; k <= 3; k++) {
+    const w = tuningHistogram[(bestBin + k + TUNING_HISTOGRAM_BINS) % TUNING_HISTOGRAM_BINS];
+    sum += (bestBin + k + 0.5 - 50) * w;
+    weightSum += w;
+  }
+  let cents = weightSum > 0 ? sum / weightSum : 0;
+  if (cents >= 50) cents -= 100;
+  if (cents < -50) cents += 100;
+
+  tuningA4 = DEFAULT_A4_HZ * Math.pow(2, cents / 1200);
+  return tuningA4;
+}
+
+/**
+ * Returns the current concert-pitch reference (frequency of A4 in Hz).
+ * @returns {number}
+ */
+function getTuningReference() {
+  return tuningA4;
+}
+
+/**
+ * Forgets all tuning evidence and returns to A4 = 440 Hz (e.g. for a new video).
+ */
+function resetTuningEstimate() {
+  tuningA4 = DEFAULT_A4_HZ;
+  tuningHistogram = new Float32Array(TUNING_HISTOGRAM_BINS);
+  tuningFrames = 0;
 }
 
 // Essentia.js WASM integration (optional enhancement)
-// When the WASM module is available, it replaces the peak-picking detector.
-let essentiaInstance = null;
+// Essentia runs in a dedicated Web Worker (lib/essentia-worker.js). Requests
+// are asynchronous, so detectNoteEssentia() posts each frame and uses the
+// most recent answer — one analysis hop of extra latency, but no WASM work on
+// the main thread.
+
+// Give up and stay on the fallback if the worker hasn't initialised by then
+const ESSENTIA_INIT_TIMEOUT_MS = 10000;
+// Essentia pitches older than this (seconds) are considered stale
+const ESSENTIA_RESULT_MAX_AGE = 0.1;
+
+let essentiaWorker = null;
+let essentiaLoadPromise = null;
+let essentiaRequestId = 0;
+const essentiaRequests = new Map(); // id → { resolve, reject }
+
+// Essentia worker status: 'loading' | 'ready' | 'unavailable'
+let essentiaState = 'unavailable';
+let detectorStatusListener = null;
+
+// Latest predominant pitch from the worker, and whether a request is in flight
+let essentiaPitch = { midi: -1, confidence: 0, receivedAt: 0 };
+let essentiaPitchPending = false;
+
+function setEssentiaState(state) {
+  essentiaState = state;
+  notifyDetectorStatus();
+}
 
 /**
- * Attempts to load the Essentia.js WASM module.
- * Call once during initialisation.  Safe to call even if the module is absent.
- * @param {string} wasmUrl  - chrome.runtime.getURL('vendor/essentia/essentia-wasm.web.js')
+ * Registers a callback invoked whenever the detector backend status changes
+ * (a backend finished loading, failed, or a different one was selected).
+ * @param {function({backend: string, label: string, state: string, message: string}): void|null} listener
  */
-async function loadEssentia(wasmUrl) {
-  try {
-    // Dynamic import only works for module scripts; use importScripts in workers.
-    // Here we inject a <script> tag and wait for EssentiaWASM to appear on window.
-    await new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      script.src = wasmUrl;
-      script.onload = resolve;
-      script.onerror = reject;
-      document.head.appendChild(script);
-    });
-
-    if (typeof window.EssentiaWASM === 'function') {
-      const module = await window.EssentiaWASM();
-      essentiaInstance = new window.Essentia(module);
+function setDetectorStatusListener(listener) {
+  detectorStatusListener = listener;
+}
+
+function notifyDetectorStatus() {
+  if (detectorStatusListener) detectorStatusListener(getDetectorStatus());
+}
+
+/**
+ * Sends a request to the Essentia worker and resolves with its reply.
+ * @param {object} request     - message without `id` (see lib/essentia-worker.js)
+ * @param {Transferable[]} [transfer]
+ * @returns {Promise<object>}
+ */
+function callEssentia(request, transfer) {
+  if (!essentiaWorker) return Promise.reject(new Error('Essentia worker is not running'));
+  const id = ++essentiaRequestId;
+  return new Promise((resolve, reject) => {
+    essentiaRequests.set(id, { resolve, reject });
+    essentiaWorker.postMessage(Object.assign({ id }, request), transfer || []);
+  });
+}
+
+/**
+ * Starts the Essentia.js worker and loads the WASM module inside it.
+ * Call once during initialisation.  Safe to call even if the module is absent:
+ * the Essentia backend is then reported as unavailable and detection falls
+ * back to the default backend.
+ *
+ * @param {string} workerUrl  - chrome.runtime.getURL('lib/essentia-worker.js')
+ * @param {string} vendorUrl  - chrome.runtime.getURL('vendor/essentia/')
+ * @returns {Promise<boolean>} true when Essentia is ready
+ */
+function loadEssentia(workerUrl, vendorUrl) {
+  if (essentiaLoadPromise) return essentiaLoadPromise;
+  setEssentiaState('loading');
+
+  essentiaLoadPromise = (async () => {
+    try {
+      // A worker script must be same-origin with the page, so start from a
+      // blob that pulls the extension's worker file in with importScripts()
+      const bootstrap = new Blob([`importScripts(${JSON.stringify(workerUrl)});`],
+        { type: 'text/javascript' });
+      const bootstrapUrl = URL.createObjectURL(bootstrap);
+      essentiaWorker = new Worker(bootstrapUrl);
+      URL.revokeObjectURL(bootstrapUrl);
+
+      essentiaWorker.onmessage = (e) => {
+        const pending = essentiaRequests.get(e.data.id);
+        if (!pending) return;
+        essentiaRequests.delete(e.data.id);
+        if (e.data.ok) pending.resolve(e.data);
+        else pending.reject(new Error(e.data.error));
+      };
+      essentiaWorker.onerror = (e) => {
+        for (const pending of essentiaRequests.values()) {
+          pending.reject(new Error(e.message || 'Essentia worker error'));
+        }
+        essentiaRequests.clear();
+      };
+
+      const timeout = new Promise((_, reject) => {
+        setTimeout(() => reject(new Error('timed out')), ESSENTIA_INIT_TIMEOUT_MS);
+      });
+      await Promise.race([callEssentia({ type: 'init', vendorUrl }), timeout]);
+
+      setEssentiaState('ready');
       console.log('[PianoRain] Essentia.js WASM loaded successfully');
+      return true;
+    } catch (e) {
+      if (essentiaWorker) {
+        essentiaWorker.terminate();
+        essentiaWorker = null;
+      }
+      setEssentiaState('unavailable');
+      console.warn('[PianoRain] Essentia.js WASM not available, using fallback detector:', e.message);
+      return false;
     }
-  } catch (e) {
-    console.warn('[PianoRain] Essentia.js WASM not available, using fallback detector:', e.message);
+  })();
+
+  return essentiaLoadPromise;
+}
+
+/**
+ * Posts the frame to the Essentia worker and returns its most recent
+ * PitchYinFFT answer (the answer to a previous frame), or { midi: -1 } if
+ * that answer is stale.
+ * @param {Float32Array} timeData
+ * @param {number} sampleRate
+ * @returns {{midi: number, confidence: number}}
+ */
+function detectNoteEssentia(timeData, sampleRate) {
+  if (!essentiaPitchPending) {
+    essentiaPitchPending = true;
+    const frame = Float32Array.from(timeData);
+    callEssentia({ type: 'pitchYinFFT', frame, sampleRate }, [frame.buffer])
+      .then(({ result }) => {
+        let midi = -1;
+        if (result.pitchConfidence > 0.5 && result.pitch > 0) {
+          midi = freqToMidi(result.pitch);
+          if (midi < MIDI_MIN || midi > MIDI_MAX) midi = -1;
+        }
+        essentiaPitch = { midi, confidence: result.pitchConfidence, receivedAt: performance.now() / 1000 };
+      })
+      .catch(() => {
+        // Keep the previous result; the next frame will try again
+      })
+      .then(() => { essentiaPitchPending = false; });
   }
+
+  const age = performance.now() / 1000 - essentiaPitch.receivedAt;
+  return age <= ESSENTIA_RESULT_MAX_AGE
+    ? { midi: essentiaPitch.midi, confidence: essentiaPitch.confidence }
+    : { midi: -1, confidence: 0 };
+}
+
+// ── Detector backend registry ────────────────────────────────────────────────
+// Every backend implements the same interface so detectors can be swapped
+// (and A/B tested on the same video) from the popup:
+//   id          unique key, stored in preferences
+//   label       name shown in the popup
+//   polyphonic  true if it can report several simultaneous notes
+//   latencyMs   extra latency on top of the analysis frame
+//   status()    'ready' | 'loading' | 'unavailable'
+//   detect(freqData, timeData, sampleRate) → Array<{midi, confidence}>
+// Backends in other files (e.g. lib/neural-detector.js) register themselves.
+
+const DEFAULT_DETECTOR_BACKEND = 'harmonic-sum';
+
+const detectorBackends = new Map();
+let activeDetectorBackend = DEFAULT_DETECTOR_BACKEND;
+
+/**
+ * Adds a detector backend to the registry (replacing one with the same id).
+ * @param {{id: string, label: string, polyphonic: boolean, latencyMs: number,
+ *          status: function(): string, detect: function(Float32Array, Float32Array, number): Array<{midi: number, confidence: number}>}} backend
+ */
+function registerDetectorBackend(backend) {
+  detectorBackends.set(backend.id, backend);
+  notifyDetectorStatus();
 }
 
 /**
- * Detects the predominant pitch using Essentia.js PitchYinFFT when available,
- * falling back to the built-in peak-picker.
+ * Lists the registered backends and their capabilities.
+ * @returns {Array<{id: string, label: string, polyphonic: boolean, latencyMs: number, state: string}>}
+ */
+function getDetectorBackends() {
+  return [...detectorBackends.values()].map((b) => ({
+    id: b.id,
+    label: b.label,
+    polyphonic: b.polyphonic,
+    latencyMs: b.latencyMs,
+    state: b.status(),
+  }));
+}
+
+/**
+ * Selects the backend used by detectNotesEnhanced().
+ * @param {string} id
+ * @returns {boolean} false if no such backend is registered
+ */
+function setDetectorBackend(id) {
+  if (!detectorBackends.has(id)) return false;
+  activeDetectorBackend = id;
+  notifyDetectorStatus();
+  return true;
+}
+
+/**
+ * Returns the backend that actually runs: the selected one when it is ready,
+ * otherwise the default backend.
+ */
+function resolveDetectorBackend() {
+  const selected = detectorBackends.get(activeDetectorBackend);
+  if (selected && selected.status() === 'ready') return selected;
+  return detectorBackends.get(DEFAULT_DETECTOR_BACKEND);
+}
+
+/**
+ * Describes the selected backend and whether it is running or falling back.
+ * @returns {{backend: string, label: string, state: string, message: string}}
+ *   state: 'ready' | 'loading' | 'fallback'
+ */
+function getDetectorStatus() {
+  const selected = detectorBackends.get(activeDetectorBackend) || resolveDetectorBackend();
+  const running = resolveDetectorBackend();
+  const selectedState = selected.status();
+  if (selected === running) {
+    return { backend: selected.id, label: selected.label, state: 'ready', message: selected.label };
+  }
+  if (selectedState === 'loading') {
+    return {
+      backend: selected.id,
+      label: selected.label,
+      state: 'loading',
+      message: `Loading ${selected.label}… (using ${running.label})`,
+    };
+  }
+  return {
+    backend: selected.id,
+    label: selected.label,
+    state: 'fallback',
+    message: `${selected.label} unavailable — using ${running.label}`,
+  };
+}
+
+/**
+ * Detects every note sounding in the frame with the selected backend.
  *
  * @param {Float32Array} freqData  - dB values from AnalyserNode.getFloatFrequencyData
  * @param {Float32Array} timeData  - linear values from AnalyserNode.getFloatTimeDomainData
  * @param {number} sampleRate
- * @returns {number} MIDI note or -1
+ * @returns {Array<{midi: number, confidence: number}>} in ascending pitch order (empty if silence)
  */
-function detectNoteEnhanced(freqData, timeData, sampleRate) {
-  if (essentiaInstance) {
-    try {
-      // PitchYinFFT expects a power spectrum (linear amplitude), not dB
-      const spectrumSize = freqData.length;
-      const essentiaVec = essentiaInstance.arrayToVector(timeData);
-      const result = essentiaInstance.PitchYinFFT(essentiaVec, spectrumSize, sampleRate);
-      const freq = result.pitch;
-      const confidence = result.pitchConfidence;
-
-      if (confidence > 0.5 && freq > 0) {
-        const midi = freqToMidi(freq);
-        if (midi >= MIDI_MIN && midi <= MIDI_MAX) return midi;
-      }
-      return -1;
-    } catch (e) {
-      // Fall back to peak-picking on error
-    }
+function detectNotesEnhanced(freqData, timeData, sampleRate) {
+  try {
+    return resolveDetectorBackend().detect(freqData, timeData, sampleRate);
+  } catch (e) {
+    // A misbehaving backend must not stop detection altogether
+    return findNotesBySalience(freqData, sampleRate);
   }
-  return detectNote(freqData, sampleRate);
 }
+
+registerDetectorBackend({
+  id: 'harmonic-sum',
+  label: 'Harmonic sum (polyphonic)',
+  polyphonic: true,
+  latencyMs: 0,
+  status: () => 'ready',
+  detect: (freqData, timeData, sampleRate) => findNotesBySalience(freqData, sampleRate),
+});
+
+registerDetectorBackend({
+  id: 'fft-peak',
+  label: 'FFT peak-pick',
+  polyphonic: false,
+  latencyMs: 0,
+  status: () => 'ready',
+  detect: (freqData, timeData, sampleRate) => {
+    const midi = detectNote(freqData, sampleRate);
+    return midi >= 0 ? [{ midi, confidence: levelConfidence(freqData, sampleRate, midi) }] : [];
+  },
+});
+
+registerDetectorBackend({
+  id: 'yin',
+  label: 'YIN (time domain)',
+  polyphonic: false,
+  latencyMs: 0,
+  status: () => 'ready',
+  detect: (freqData, timeData, sampleRate) => {
+    const result = detectNoteYin(timeData, sampleRate);
+    return result.midi >= 0 ? [result] : [];
+  },
+});
+
+registerDetectorBackend({
+  id: 'essentia-yinfft',
+  label: 'Essentia PitchYinFFT',
+  polyphonic: false,
+  latencyMs: 10,
+  status: () => essentiaState,
+  detect: (freqData, timeData, sampleRate) => {
+    const result = detectNoteEssentia(timeData, sampleRate);
+    return result.midi >= 0 ? [result] : [];
+  },
+});
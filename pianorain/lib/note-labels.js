@@ -0,0 +1,106 @@
+// lib/note-labels.js — Note-name and solfège labels for blocks and keys
+// Turns a MIDI note into the label shown inside its falling block and on its
+// lit key: letter name with or without octave, fixed-do or movable-do
+// solfège, or the MIDI number. Letter names use the sharps or flats of the
+// detected key, and movable do is sung relative to it.
+// Depends on midiToNoteName() and NOTE_NAMES from lib/note-detector.js and on
+// NOTE_NAMES_FLAT and keySignatureFifths() from lib/harmony.js.
+
+// Label modes, in popup order
+const NOTE_LABEL_MODES = ['off', 'name-octave', 'name', 'fixed-do', 'movable-do', 'midi'];
+
+// Fixed do: the syllable of each letter (accidentals are kept)
+const FIXED_DO_SYLLABLES = { C: 'Do', D: 'Re', E: 'Mi', F: 'Fa', G: 'Sol', A: 'La', B: 'Si' };
+// Movable do: chromatic syllables by scale degree, raised in sharp keys and
+// lowered in flat keys. Minor keys are sung la-based (do is the relative major).
+const MOVABLE_DO_SHARP = ['Do', 'Di', 'Re', 'Ri', 'Mi', 'Fa', 'Fi', 'Sol', 'Si', 'La', 'Li', 'Ti'];
+const MOVABLE_DO_FLAT = ['Do', 'Ra', 'Re', 'Me', 'Mi', 'Fa', 'Se', 'Sol', 'Le', 'La', 'Te', 'Ti'];
+
+// Label font size range (px); a label that doesn't fit in its block or key at
+// the smallest size is hidden
+const NOTE_LABEL_MAX_FONT = 13;
+const NOTE_LABEL_MIN_FONT = 7;
+
+/**
+ * Whether a key is spelled with flats.
+ * @param {{tonic: number, mode: string}|null} key
+ * @returns {boolean}
+ */
+function keyUsesFlats(key) {
+  return !!key && keySignatureFifths(key) < 0;
+}
+
+/**
+ * Note name with octave, spelled for the key (e.g. 61 → "C♯4", or "D♭4" in
+ * a flat key).
+ * @param {number} midi
+ * @param {{tonic: number, mode: string}|null} [key]
+ * @returns {string}
+ */
+function spelledNoteName(midi, key) {
+  const pc = midi % 12;
+  const name = midiToNoteName(midi);
+  const spelled = keyUsesFlats(key) ? name.replace(NOTE_NAMES[pc], NOTE_NAMES_FLAT[pc]) : name;
+  return spelled.replace('#', '♯').replace(/^([A-G])b/, '$1♭');
+}
+
+/**
+ * Label of a note.
+ * @param {number} midi
+ * @param {string} mode  - one of NOTE_LABEL_MODES
+ * @param {{tonic: number, mode: string}|null} [key]  - the detected key
+ *        (C major when unknown, for movable do)
+ * @returns {string|null} null when labels are off
+ */
+function noteLabel(midi, mode, key) {
+  switch (mode) {
+    case 'name-octave':
+      return spelledNoteName(midi, key);
+    case 'name':
+      return spelledNoteName(midi, key).replace(/-?\d+$/, '');
+    case 'fixed-do': {
+      const name = spelledNoteName(midi, key).replace(/-?\d+$/, '');
+      return FIXED_DO_SYLLABLES[name[0]] + name.slice(1);
+    }
+    case 'movable-do': {
+      const doPc = key ? (key.mode === 'minor' ? (key.tonic + 3) % 12 : key.tonic) : 0;
+      const degree = (midi - doPc + 120) % 12;
+      return (keyUsesFlats(key) ? MOVABLE_DO_FLAT : MOVABLE_DO_SHARP)[degree];
+    }
+    case 'midi':
+      return String(midi);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Draws a label centred above `bottom`, at the largest font size (up to
+ * NOTE_LABEL_MAX_FONT) that fits the space; nothing when it doesn't fit.
+ * White with a dark outline, so it reads on any note colour.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} cx  - centre x
+ * @param {number} bottom  - baseline y
+ * @param {number} maxWidth
+ * @param {number} maxHeight
+ * @returns {boolean} whether the label was drawn
+ */
+function drawNoteLabel(ctx, text, cx, bottom, maxWidth, maxHeight) {
+  let size = Math.min(NOTE_LABEL_MAX_FONT, Math.floor(maxHeight));
+  for (; size >= NOTE_LABEL_MIN_FONT; size--) {
+    ctx.font = `bold ${size}px sans-serif`;
+    if (ctx.measureText(text).width <= maxWidth) break;
+  }
+  if (size < NOTE_LABEL_MIN_FONT) return false;
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.strokeText(text, cx, bottom);
+  ctx.fillStyle = '#fff';
+  ctx.fillText(text, cx, bottom);
+  return true;
+}
@@ -0,0 +1,212 @@
+// lib/note-tracker.js — Note tracking between detection and rendering/export
+// Turns the raw, frame-by-frame detector output into stable note-on/note-off
+// events. Both the live render loop (content.js) and the export sampling loop
+// (lib/midi-export.js) run their detections through a tracker so they agree.
+// Depends on DEFAULT_VELOCITY from lib/note-detector.js.
+
+const DEFAULT_TRACKER_OPTIONS = {
+  // Candidates shorter than this (seconds of media time) are discarded
+  minNoteSeconds: 0.06,
+  // A note stays on this long (seconds) after the detector stops reporting it
+  releaseHoldSeconds: 0.08,
+  // Majority filter window: a pitch is present if seen in more than half of
+  // the last N frames
+  filterFrames: 5,
+  // Fold brief octave jumps of a sounding note back onto that note; a jump
+  // that persists for a full filter window is accepted as a real new note
+  octaveCorrection: true,
+};
+
+/**
+ * Creates a note tracker.
+ *
+ * Each call to process() takes one detector frame and returns the note events
+ * it produces. Event times are media times in seconds; a note-on is
+ * back-dated to the frame where the pitch first appeared (so the minimum
+ * length and filter delay don't shift notes late), and a note-off carries the
+ * time the pitch was last heard. A note-on's confidence is the highest
+ * detector confidence seen while the note was being confirmed.
+ *
+ * @param {object} [options]  - overrides for DEFAULT_TRACKER_OPTIONS
+ * @returns {{
+ *   process: function(object): Array<{type: string, midi: number, time: number, velocity?: number, confidence?: number}>,
+ *   flush: function(number): Array<{type: string, midi: number, time: number}>,
+ *   reset: function(): void
+ * }}
+ */
+function createNoteTracker(options) {
+  const opts = Object.assign({}, DEFAULT_TRACKER_OPTIONS, options);
+  const windowSize = Math.max(1, Math.round(opts.filterFrames));
+
+  // Last `windowSize` raw frames (after octave correction), oldest first
+  let history = [];
+  // Raw pitches in the previous frame, to spot where a pitch first appears
+  let prevRaw = new Set();
+  // Most recent raw onset per pitch: midi → { time, velocity }
+  let rawOnsets = new Map();
+  // Pitches that passed the filter but are not yet minNoteSeconds long:
+  // midi → { startTime, velocity, confidence }
+  let candidates = new Map();
+  // Confirmed sounding notes: midi → { startTime, velocity, confidence, lastSeen }
+  let active = new Map();
+  // Consecutive frames each raw pitch has been folded onto its octave neighbour
+  let octaveRuns = new Map();
+
+  function isTracked(midi) {
+    return active.has(midi) || candidates.has(midi);
+  }
+
+  /**
+   * Replaces a pitch with its octave neighbour when that neighbour is a note
+   * being tracked and the detector did not also report it.
+   */
+  function correctOctaves(raw) {
+    if (!opts.octaveCorrection) return raw;
+    const corrected = new Set();
+    const runs = new Map();
+    for (const midi of raw) {
+      const run = octaveRuns.get(midi) || 0;
+      let target = midi;
+      if (!isTracked(midi) && run < windowSize) {
+        if (isTracked(midi - 12) && !raw.has(midi - 12)) target = midi - 12;
+        else if (isTracked(midi + 12) && !raw.has(midi + 12)) target = midi + 12;
+      }
+      if (target !== midi) runs.set(midi, run + 1);
+      corrected.add(target);
+    }
+    octaveRuns = runs;
+    return corrected;
+  }
+
+  /**
+   * @param {object} frame
+   * @param {number} frame.time                 - media time of the frame (seconds)
+   * @param {Array<{midi: number, confidence: number}>} frame.notes  - raw detector output
+   * @param {Set<number>} [frame.struckMidis]   - pitches the onset detector saw re-struck
+   * @param {Function} [frame.velocityOf]       - (midi) → velocity of a note starting this frame
+   * @returns {Array<{type: string, midi: number, time: number, velocity?: number, confidence?: number}>}
+   */
+  function process({ time, notes, struckMidis, velocityOf }) {
+    const events = [];
+    const confidences = new Map();
+    for (const note of notes || []) confidences.set(note.midi, note.confidence);
+    const raw = correctOctaves(new Set(confidences.keys()));
+
+    // Remember where each pitch's latest attack happened. A tracked note
+    // only re-attacks on a detected onset, not when it flickers back in.
+    for (const midi of raw) {
+      const struck = struckMidis && struckMidis.has(midi);
+      if (struck || (!prevRaw.has(midi) && !isTracked(midi))) {
+        rawOnsets.set(midi, {
+          time,
+          velocity: velocityOf ? velocityOf(midi) : DEFAULT_VELOCITY,
+        });
+      }
+    }
+    prevRaw = raw;
+
+    history.push(raw);
+    if (history.length > windowSize) history.shift();
+
+    // Majority filter over the window
+    const counts = new Map();
+    for (const frame of history) {
+      for (const midi of frame) counts.set(midi, (counts.get(midi) || 0) + 1);
+    }
+    const filtered = new Set();
+    for (const [midi, count] of counts) {
+      if (count * 2 > history.length) filtered.add(midi);
+    }
+
+    for (const midi of filtered) {
+      const onset = rawOnsets.get(midi) || { time, velocity: DEFAULT_VELOCITY };
+      const note = active.get(midi);
+
+      if (note) {
+        note.lastSeen = time;
+        // Re-strike of a sounding note: close it and open a new one, as long
+        // as the old one has reached the minimum length
+        if (onset.time > note.startTime && onset.time - note.startTime >= opts.minNoteSeconds) {
+          events.push({ type: 'off', midi, time: onset.time });
+          events.push({
+            type: 'on',
+            midi,
+            time: onset.time,
+            velocity: onset.velocity,
+            confidence: confidences.has(midi) ? confidences.get(midi) : note.confidence,
+          });
+          note.startTime = onset.time;
+          note.velocity = onset.velocity;
+        }
+        continue;
+      }
+
+      let candidate = candidates.get(midi);
+      if (!candidate) {
+        candidate = { startTime: onset.time, velocity: onset.velocity, confidence: 0 };
+        candidates.set(midi, candidate);
+      }
+      if (confidences.has(midi)) {
+        candidate.confidence = Math.max(candidate.confidence, confidences.get(midi));
+      }
+      if (time - candidate.startTime >= opts.minNoteSeconds) {
+        candidates.delete(midi);
+        active.set(midi, {
+          startTime: candidate.startTime,
+          velocity: candidate.velocity,
+          confidence: candidate.confidence,
+          lastSeen: time,
+        });
+        events.push({
+          type: 'on',
+          midi,
+          time: candidate.startTime,
+          velocity: candidate.velocity,
+          confidence: candidate.confidence,
+        });
+      }
+    }
+
+    // Candidates that left the filter window entirely before reaching the
+    // minimum length are dropped
+    for (const midi of candidates.keys()) {
+      if (!counts.has(midi)) candidates.delete(midi);
+    }
+
+    // Release notes once they have been missing for the hold time
+    for (const [midi, note] of active) {
+      if (filtered.has(midi)) continue;
+      if (time - note.lastSeen >= opts.releaseHoldSeconds) {
+        active.delete(midi);
+        events.push({ type: 'off', midi, time: note.lastSeen });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Ends every sounding note (e.g. when the export pass reaches the end).
+   * @param {number} time  - media time at which to close the notes
+   * @returns {Array<{type: string, midi: number, time: number}>}
+   */
+  function flush(time) {
+    const events = [];
+    for (const midi of active.keys()) {
+      events.push({ type: 'off', midi, time });
+    }
+    reset();
+    return events;
+  }
+
+  function reset() {
+    history = [];
+    prevRaw = new Set();
+    rawOnsets = new Map();
+    candidates = new Map();
+    active = new Map();
+    octaveRuns = new Map();
+  }
+
+  return { process, flush, reset };
+}
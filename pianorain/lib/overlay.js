@@ -3,6 +3,7 @@
 const OVERLAY_ID = 'pianorain-overlay';
 const CONTAINER_ID = 'pianorain-container';
 const HANDLE_ID = 'pianorain-handle';
+const MIX_CONTROL_ID = 'pianorain-mix';
 
 const MIN_WIDTH = 200;
 const MIN_HEIGHT = 150;
@@ -101,6 +102,68 @@ function createOverlay() {
   return canvas;
 }
 
+/**
+ * Adds the original/transcription crossfader to the overlay's top-left
+ * corner (hidden until setVisible(true)). It is removed with the overlay.
+ * Pointer and key events stop at the control so they don't reach the player
+ * (which would toggle playback or seek).
+ * @param {HTMLCanvasElement} canvas
+ * @param {function(number): void} onInput  - called with the mix, 0–1
+ * @returns {{setValue: function(number): void, setVisible: function(boolean): void}}
+ */
+function createMixControl(canvas, onInput) {
+  const container = canvas.parentElement;
+  const control = document.createElement('div');
+  control.id = MIX_CONTROL_ID;
+  Object.assign(control.style, {
+    position: 'absolute',
+    top: '4px',
+    left: '4px',
+    display: 'none',
+    alignItems: 'center',
+    gap: '4px',
+    padding: '2px 6px',
+    background: 'rgba(0, 0, 0, 0.55)',
+    borderRadius: '4px',
+    color: 'rgba(255, 255, 255, 0.85)',
+    font: '11px Arial, sans-serif',
+    pointerEvents: 'auto',
+    zIndex: '101',
+  });
+
+  const label = (text) => {
+    const span = document.createElement('span');
+    span.textContent = text;
+    return span;
+  };
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = '0';
+  slider.max = '100';
+  slider.step = '1';
+  slider.title = 'Crossfade between the video\'s audio and the synthesised transcription';
+  Object.assign(slider.style, { width: '80px', margin: '0', accentColor: '#00bfff' });
+  slider.addEventListener('input', () => onInput(Number(slider.value) / 100));
+
+  for (const type of ['mousedown', 'click', 'dblclick', 'keydown', 'keyup', 'wheel']) {
+    control.addEventListener(type, (e) => e.stopPropagation());
+  }
+
+  control.appendChild(label('Original'));
+  control.appendChild(slider);
+  control.appendChild(label('Transcription'));
+  if (container) container.appendChild(control);
+
+  return {
+    setValue(mix) {
+      slider.value = String(Math.round(mix * 100));
+    },
+    setVisible(visible) {
+      control.style.display = visible ? 'flex' : 'none';
+    },
+  };
+}
+
 /**
  * Resizes the canvas pixel dimensions to match the container's current size.
  * @param {HTMLCanvasElement} canvas
@@ -0,0 +1,166 @@
+// lib/pedal-detector.js — Sustain pedal inference for PianoRain
+// There is no direct evidence of the damper pedal in the audio, so two
+// heuristics are combined:
+//   • Pedal down: with the dampers lifted, undamped strings ring in sympathy,
+//     so spectral energy builds up in bins that no detected note explains.
+//     When that unexplained share stays high, the pedal is taken as down.
+//   • Pedal up: the dampers fall on every string at once, so many partials
+//     drop together within a single frame.
+// The live view and the MIDI exporter each run their own detector.
+// Depends on midiToFreq() and noiseGateAt() from lib/note-detector.js and
+// lib/noise-floor.js.
+
+// Spectrum range inspected: the piano's fundamentals and lower partials
+const PEDAL_FREQ_MIN = 50;
+const PEDAL_FREQ_MAX = 4000;
+
+// Partials of each detected note counted as "explained", how far (cents) a
+// peak may stray from them given string inharmonicity, and the extra bins on
+// either side covered by the analysis window's main lobe
+const PEDAL_PARTIALS = 12;
+const PEDAL_PARTIAL_TOLERANCE_CENTS = 40;
+const PEDAL_LOBE_BINS = 3;
+
+// Resonance is only measured once this many bins are above the gate
+const PEDAL_MIN_ACTIVE_BINS = 12;
+// Time constant (seconds) of the resonance smoothing
+const PEDAL_RESONANCE_SMOOTHING_SECONDS = 0.3;
+// Smoothed unexplained share (0–1) above which the pedal goes down, and below
+// which (with hysteresis) it lifts when no release was heard
+const PEDAL_DOWN_RESONANCE = 0.25;
+const PEDAL_UP_RESONANCE = 0.1;
+// Resonance must stay above PEDAL_DOWN_RESONANCE this long (seconds)
+const PEDAL_MIN_DOWN_SECONDS = 0.2;
+
+// Release: a bin "drops" when it falls this many dB in one frame; a release
+// needs this share of the previously active bins (and at least
+// PEDAL_RELEASE_MIN_BINS of them) to drop together
+const PEDAL_RELEASE_DROP_DB = 12;
+const PEDAL_RELEASE_FRACTION = 0.5;
+const PEDAL_RELEASE_MIN_BINS = 20;
+// Shortest pedal-down region (seconds); earlier releases are ignored
+const PEDAL_MIN_REGION_SECONDS = 0.15;
+
+/**
+ * Creates a sustain pedal detector.
+ *
+ * process() returns the pedal changes decided on this frame as
+ * `{ type: 'pedal', down, time }` events. A pedal-down is back-dated to when
+ * the resonance first crossed the threshold.
+ *
+ * @returns {{
+ *   process: function(Float32Array, number, number, Array<{midi: number}>): Array<{type: string, down: boolean, time: number}>,
+ *   isDown: function(): boolean,
+ *   reset: function(): void
+ * }}
+ */
+function createPedalDetector() {
+  let down = false;
+  let downTime = 0;
+  let resonance = 0;
+  let aboveSince = null;
+  let lastTime = null;
+  // Previous frame's dB values over the inspected range
+  let prevLevels = null;
+  // Per-bin "explained by a detected note" mask, reused between frames
+  let explained = null;
+
+  /** Marks the bins lying on a partial of one of `notes`. */
+  function markExplained(notes, binHz, binStart, binEnd) {
+    explained.fill(0);
+    const tolerance = Math.pow(2, PEDAL_PARTIAL_TOLERANCE_CENTS / 1200);
+    for (const note of notes) {
+      const f0 = midiToFreq(note.midi);
+      for (let h = 1; h <= PEDAL_PARTIALS; h++) {
+        const freq = f0 * h;
+        if (freq > PEDAL_FREQ_MAX) break;
+        const lo = Math.max(binStart, Math.floor(freq / tolerance / binHz) - PEDAL_LOBE_BINS);
+        const hi = Math.min(binEnd, Math.ceil(freq * tolerance / binHz) + PEDAL_LOBE_BINS);
+        for (let i = lo; i <= hi; i++) explained[i - binStart] = 1;
+      }
+    }
+  }
+
+  /**
+   * @param {Float32Array} freqData  - dB values from AnalyserNode.getFloatFrequencyData
+   * @param {number} sampleRate
+   * @param {number} time  - media time of the frame (seconds)
+   * @param {Array<{midi: number}>} notes  - notes detected in this frame
+   * @returns {Array<{type: string, down: boolean, time: number}>}
+   */
+  function process(freqData, sampleRate, time, notes) {
+    const binHz = sampleRate / (freqData.length * 2);
+    const binStart = Math.max(1, Math.floor(PEDAL_FREQ_MIN / binHz));
+    const binEnd = Math.min(freqData.length - 1, Math.ceil(PEDAL_FREQ_MAX / binHz));
+    const size = binEnd - binStart + 1;
+    if (!explained || explained.length !== size) {
+      explained = new Uint8Array(size);
+      prevLevels = null;
+    }
+    const dt = lastTime !== null && time > lastTime ? time - lastTime : 0;
+    lastTime = time;
+    markExplained(notes, binHz, binStart, binEnd);
+
+    // Unexplained share of the active bins, and the bins that dropped since
+    // the previous frame
+    let active = 0;
+    let unexplained = 0;
+    let prevActive = 0;
+    let dropped = 0;
+    for (let i = binStart; i <= binEnd; i++) {
+      const gate = noiseGateAt(i);
+      if (freqData[i] > gate) {
+        active++;
+        if (!explained[i - binStart]) unexplained++;
+      }
+      if (prevLevels && prevLevels[i - binStart] > gate) {
+        prevActive++;
+        if (prevLevels[i - binStart] - freqData[i] >= PEDAL_RELEASE_DROP_DB) dropped++;
+      }
+    }
+    if (!prevLevels) prevLevels = new Float32Array(size);
+    prevLevels.set(freqData.subarray(binStart, binEnd + 1));
+
+    const share = active >= PEDAL_MIN_ACTIVE_BINS ? unexplained / active : 0;
+    const alpha = dt > 0 ? 1 - Math.exp(-dt / PEDAL_RESONANCE_SMOOTHING_SECONDS) : 1;
+    resonance += (share - resonance) * alpha;
+
+    const events = [];
+    if (down) {
+      const released = dropped >= PEDAL_RELEASE_MIN_BINS &&
+        dropped >= prevActive * PEDAL_RELEASE_FRACTION;
+      if ((released || resonance < PEDAL_UP_RESONANCE) && time - downTime >= PEDAL_MIN_REGION_SECONDS) {
+        down = false;
+        // Resonance must build up again before the next pedal-down
+        resonance = 0;
+        aboveSince = null;
+        events.push({ type: 'pedal', down: false, time });
+      }
+    } else if (resonance > PEDAL_DOWN_RESONANCE) {
+      if (aboveSince === null) aboveSince = time;
+      if (time - aboveSince >= PEDAL_MIN_DOWN_SECONDS) {
+        down = true;
+        downTime = aboveSince;
+        events.push({ type: 'pedal', down: true, time: aboveSince });
+      }
+    } else {
+      aboveSince = null;
+    }
+    return events;
+  }
+
+  function isDown() {
+    return down;
+  }
+
+  function reset() {
+    down = false;
+    downTime = 0;
+    resonance = 0;
+    aboveSince = null;
+    lastTime = null;
+    prevLevels = null;
+  }
+
+  return { process, isDown, reset };
+}
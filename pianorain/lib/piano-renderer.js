@@ -70,10 +70,10 @@ function computeKeyLayout(canvasWidth, keyboardY, keyboardH) {
  * @param {CanvasRenderingContext2D} ctx
  * @param {number} canvasWidth
  * @param {number} canvasHeight
- * @param {Set<number>} activeNotes   - MIDI notes currently lit up
- * @param {string} activeColor        - CSS color for lit keys
+ * @param {Map<number, string>} activeNotes  - MIDI notes currently lit up → CSS color
+ * @param {boolean} [glow]  - false to draw lit keys without a glow (theme setting)
  */
-function renderPiano(ctx, canvasWidth, canvasHeight, activeNotes, activeColor) {
+function renderPiano(ctx, canvasWidth, canvasHeight, activeNotes, glow) {
   const keyboardH = Math.round(canvasHeight * 0.14);
   const keyboardY = canvasHeight - keyboardH;
 
@@ -87,6 +87,7 @@ function renderPiano(ctx, canvasWidth, canvasHeight, activeNotes, activeColor) {
   for (const key of layout) {
     if (key.black) continue;
     const isActive = activeNotes.has(key.midi);
+    const activeColor = activeNotes.get(key.midi);
     ctx.fillStyle = isActive ? activeColor : '#f0f0f0';
     ctx.fillRect(key.x + 1, key.y + 1, key.w - 2, key.h - 2);
     ctx.strokeStyle = '#333';
@@ -95,7 +96,7 @@ function renderPiano(ctx, canvasWidth, canvasHeight, activeNotes, activeColor) {
 
     if (isActive) {
       ctx.shadowColor = activeColor;
-      ctx.shadowBlur = 8;
+      ctx.shadowBlur = glow === false ? 0 : 8;
       ctx.fillRect(key.x + 1, key.y + 1, key.w - 2, key.h - 2);
       ctx.shadowBlur = 0;
     }
@@ -105,12 +106,13 @@ function renderPiano(ctx, canvasWidth, canvasHeight, activeNotes, activeColor) {
   for (const key of layout) {
     if (!key.black) continue;
     const isActive = activeNotes.has(key.midi);
+    const activeColor = activeNotes.get(key.midi);
     ctx.fillStyle = isActive ? activeColor : '#1a1a1a';
     ctx.fillRect(key.x, key.y, key.w, key.h);
 
     if (isActive) {
       ctx.shadowColor = activeColor;
-      ctx.shadowBlur = 10;
+      ctx.shadowBlur = glow === false ? 0 : 10;
       ctx.fillRect(key.x, key.y, key.w, key.h);
       ctx.shadowBlur = 0;
     }
@@ -119,6 +121,38 @@ function renderPiano(ctx, canvasWidth, canvasHeight, activeNotes, activeColor) {
   return layout;
 }
 
+// Colour of the octave markers on unlit C keys
+const OCTAVE_MARKER_COLOR = '#888';
+
+/**
+ * Labels the lit keys (see noteLabel in lib/note-labels.js) and, optionally,
+ * marks every C with its octave number; labels that don't fit are skipped.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{x: number, y: number, w: number, h: number, black: boolean, midi: number}>} layout
+ *        - from renderPiano()
+ * @param {Map<number, string>} activeNotes  - lit keys
+ * @param {function(number): string|null} labelOf  - MIDI note → label
+ * @param {boolean} [octaveMarkers]  - mark C keys with their octave ("C4")
+ */
+function renderKeyLabels(ctx, layout, activeNotes, labelOf, octaveMarkers) {
+  ctx.save();
+  for (const key of layout) {
+    const label = activeNotes.has(key.midi) ? labelOf(key.midi) : null;
+    if (label) {
+      drawNoteLabel(ctx, label, key.x + key.w / 2, key.y + key.h - 3, key.w - 2, key.h / 3);
+    } else if (octaveMarkers && key.midi % 12 === 0) {
+      const size = Math.min(10, Math.floor(key.w * 0.5));
+      if (size < NOTE_LABEL_MIN_FONT) continue;
+      ctx.font = `${size}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      ctx.fillStyle = OCTAVE_MARKER_COLOR;
+      ctx.fillText(`C${Math.floor(key.midi / 12) - 1}`, key.x + key.w / 2, key.y + key.h - 3);
+    }
+  }
+  ctx.restore();
+}
+
 /**
  * Given a MIDI note, returns the {x, w} position within the keyboard layout.
  * @param {number} midi
@@ -144,3 +178,50 @@ function getKeyPosition(midi, canvasWidth, canvasHeight) {
 function getKeyboardTop(canvasHeight) {
   return canvasHeight - Math.round(canvasHeight * 0.14);
 }
+
+/**
+ * Renders the harmony label strip just above the keyboard: the current chord
+ * (with the few before it, fading out to its left) and the estimated key.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} canvasWidth
+ * @param {number} canvasHeight
+ * @param {{chord: string|null, key: string|null, recentChords: string[]}} harmony
+ */
+function renderHarmonyStrip(ctx, canvasWidth, canvasHeight, harmony) {
+  if (!harmony.chord && !harmony.key) return;
+  const stripH = Math.max(16, Math.round(canvasHeight * 0.04));
+  const stripY = getKeyboardTop(canvasHeight) - stripH;
+  const fontSize = Math.round(stripH * 0.7);
+  const midY = stripY + stripH / 2;
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+  ctx.fillRect(0, stripY, canvasWidth, stripH);
+
+  ctx.save();
+  ctx.textBaseline = 'middle';
+
+  // Chord history right to left from the centre, current chord brightest
+  if (harmony.chord) {
+    const chords = harmony.recentChords.slice();
+    if (chords[chords.length - 1] !== harmony.chord) chords.push(harmony.chord);
+    let x = canvasWidth / 2;
+    for (let i = chords.length - 1; i >= 0; i--) {
+      const age = chords.length - 1 - i;
+      ctx.font = `${age === 0 ? 'bold ' : ''}${fontSize}px sans-serif`;
+      ctx.fillStyle = `rgba(255, 255, 255, ${age === 0 ? 1 : 0.6 / age})`;
+      ctx.textAlign = age === 0 ? 'center' : 'right';
+      ctx.fillText(chords[i], x, midY);
+      x -= (age === 0 ? ctx.measureText(chords[i]).width / 2 : ctx.measureText(chords[i]).width) + fontSize;
+    }
+  }
+
+  if (harmony.key) {
+    ctx.font = `${Math.round(fontSize * 0.85)}px sans-serif`;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`Key: ${harmony.key}`, canvasWidth - fontSize / 2, midY);
+  }
+
+  ctx.restore();
+}
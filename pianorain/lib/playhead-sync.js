@@ -1,4 +1,4 @@
-// lib/playhead-sync.js — Video event listeners and play/pause/seek sync
+// lib/playhead-sync.js — Video event listeners, play/pause/seek sync and the media clock
 
 /**
  * Attaches video event listeners for PianoRain synchronisation.
@@ -29,3 +29,59 @@ function attachVideoSync(video, { onPlay, onPause, onSeeked, onRateChange }) {
     video.removeEventListener('ratechange', handleRateChange);
   };
 }
+
+// Largest gap (seconds) allowed between the extrapolated media clock and
+// video.currentTime before the clock snaps back to the element's time
+const MEDIA_CLOCK_MAX_DRIFT = 0.25;
+
+/**
+ * Creates a clock for the media time of the video frame on screen.
+ *
+ * With requestVideoFrameCallback, the media time of every presented frame is
+ * known along with when it is displayed, and the clock extrapolates from the
+ * latest one at the playback rate so the overlay moves smoothly at the
+ * display's refresh rate rather than the video's frame rate. Without it (or
+ * while paused, seeking or stalled) the clock reads video.currentTime.
+ *
+ * @param {HTMLVideoElement} video
+ * @returns {{now: function(number=): number, reset: function(): void, stop: function(): void}}
+ *          now() takes an optional performance.now()-based timestamp, such as
+ *          a requestAnimationFrame callback's
+ */
+function createMediaClock(video) {
+  // Last presented frame: { mediaTime (s), displayTime (performance.now ms) }
+  let anchor = null;
+  let callbackId = null;
+
+  function onVideoFrame(now, metadata) {
+    anchor = { mediaTime: metadata.mediaTime, displayTime: metadata.expectedDisplayTime || now };
+    callbackId = video.requestVideoFrameCallback(onVideoFrame);
+  }
+
+  if (typeof video.requestVideoFrameCallback === 'function') {
+    callbackId = video.requestVideoFrameCallback(onVideoFrame);
+  }
+
+  function now(timestamp) {
+    const current = video.currentTime;
+    if (!anchor || video.paused || video.seeking) return current;
+    const wall = typeof timestamp === 'number' ? timestamp : performance.now();
+    const time = anchor.mediaTime + Math.max(0, wall - anchor.displayTime) / 1000 * video.playbackRate;
+    return Math.abs(time - current) > MEDIA_CLOCK_MAX_DRIFT ? current : time;
+  }
+
+  /** Forgets the last frame (after a seek or rate change). */
+  function reset() {
+    anchor = null;
+  }
+
+  function stop() {
+    if (callbackId !== null && typeof video.cancelVideoFrameCallback === 'function') {
+      video.cancelVideoFrameCallback(callbackId);
+    }
+    callbackId = null;
+    anchor = null;
+  }
+
+  return { now, reset, stop };
+}
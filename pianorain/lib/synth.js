@@ -0,0 +1,219 @@
+// lib/synth.js — Built-in piano-like synth for listening to a transcription
+// Each note is one oscillator with a fixed set of decaying harmonics, a
+// velocity-dependent low-pass filter and a percussive envelope (fast attack,
+// pitch-dependent decay, short release), which is enough to hear wrong or
+// missing notes against the original. The same synth plays live through the
+// graph in lib/audio-capture.js and renders WAV files offline.
+// Depends on midiToFreq() and DEFAULT_VELOCITY from lib/note-detector.js, and
+// on downloadBlob() from lib/midi-export.js.
+
+// Relative amplitudes of the harmonics of every voice
+const SYNTH_HARMONICS = [0, 1, 0.45, 0.25, 0.12, 0.08, 0.04];
+// Peak gain of a voice at velocity 127
+const SYNTH_VOICE_GAIN = 0.2;
+// Envelope: attack time, decay time constant at middle C (halving every two
+// octaves up), and release time constant (seconds)
+const SYNTH_ATTACK_SECONDS = 0.005;
+const SYNTH_DECAY_SECONDS = 1.6;
+const SYNTH_RELEASE_SECONDS = 0.08;
+// Low-pass cutoff as a multiple of the fundamental: soft notes are duller
+const SYNTH_CUTOFF_MIN = 2;
+const SYNTH_CUTOFF_MAX = 10;
+
+// Seconds of silence rendered after the last note of an offline render
+const SYNTH_RENDER_TAIL_SECONDS = 1.5;
+const SYNTH_RENDER_SAMPLE_RATE = 44100;
+
+/**
+ * Creates a polyphonic synth on an audio context (live or offline).
+ *
+ * Times are in the context's clock. A note struck again releases its
+ * previous voice; while the sustain pedal is down, note-offs are held until
+ * the pedal lifts.
+ *
+ * @param {BaseAudioContext} ctx
+ * @param {AudioNode} destination
+ * @returns {{
+ *   noteOn: function(number, number, number): void,
+ *   noteOff: function(number, number): void,
+ *   setSustain: function(boolean, number): void,
+ *   allNotesOff: function(number=): void
+ * }}
+ */
+function createSynth(ctx, destination) {
+  const real = new Float32Array(SYNTH_HARMONICS.length);
+  const imag = Float32Array.from(SYNTH_HARMONICS);
+  const wave = ctx.createPeriodicWave(real, imag);
+  // Sounding voices by MIDI number; `held` while only the pedal sustains them
+  const voices = new Map();
+  let sustain = false;
+
+  function release(voice, when) {
+    const gain = voice.gain.gain;
+    const t = Math.max(when, voice.start + SYNTH_ATTACK_SECONDS);
+    if (gain.cancelAndHoldAtTime) gain.cancelAndHoldAtTime(t);
+    else gain.cancelScheduledValues(t);
+    gain.setTargetAtTime(0, t, SYNTH_RELEASE_SECONDS);
+    voice.osc.stop(t + SYNTH_RELEASE_SECONDS * 8);
+  }
+
+  /**
+   * @param {number} midi
+   * @param {number} velocity  - 1–127
+   * @param {number} when  - context time
+   */
+  function noteOn(midi, velocity, when) {
+    const previous = voices.get(midi);
+    if (previous) release(previous, when);
+
+    const freq = midiToFreq(midi);
+    const level = Math.min(127, Math.max(1, velocity || DEFAULT_VELOCITY)) / 127;
+    const osc = ctx.createOscillator();
+    osc.setPeriodicWave(wave);
+    osc.frequency.value = freq;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = Math.min(
+      ctx.sampleRate / 2 - 1,
+      freq * (SYNTH_CUTOFF_MIN + (SYNTH_CUTOFF_MAX - SYNTH_CUTOFF_MIN) * level)
+    );
+
+    const gain = ctx.createGain();
+    const peak = SYNTH_VOICE_GAIN * level * level;
+    const decay = SYNTH_DECAY_SECONDS * Math.pow(2, (60 - midi) / 24);
+    gain.gain.setValueAtTime(0, when);
+    gain.gain.linearRampToValueAtTime(peak, when + SYNTH_ATTACK_SECONDS);
+    gain.gain.setTargetAtTime(0, when + SYNTH_ATTACK_SECONDS, decay);
+
+    osc.connect(filter);
+    filter.connect(gain);
+    gain.connect(destination);
+    osc.start(when);
+    // Fully decayed by then even if never released
+    osc.stop(when + SYNTH_ATTACK_SECONDS + decay * 8);
+    osc.onended = () => gain.disconnect();
+
+    voices.set(midi, { osc, gain, start: when, held: false });
+  }
+
+  /**
+   * @param {number} midi
+   * @param {number} when  - context time
+   */
+  function noteOff(midi, when) {
+    const voice = voices.get(midi);
+    if (!voice) return;
+    if (sustain) {
+      voice.held = true;
+      return;
+    }
+    release(voice, when);
+    voices.delete(midi);
+  }
+
+  /**
+   * @param {boolean} down
+   * @param {number} when  - context time
+   */
+  function setSustain(down, when) {
+    sustain = down;
+    if (down) return;
+    for (const [midi, voice] of voices) {
+      if (!voice.held) continue;
+      release(voice, when);
+      voices.delete(midi);
+    }
+  }
+
+  /** Releases every voice (pause, seek, synth turned off). */
+  function allNotesOff(when) {
+    const t = typeof when === 'number' ? when : ctx.currentTime;
+    for (const voice of voices.values()) release(voice, t);
+    voices.clear();
+    sustain = false;
+  }
+
+  return { noteOn, noteOff, setSustain, allNotesOff };
+}
+
+/**
+ * Renders notes through the synth with an OfflineAudioContext.
+ * @param {Array<{midi: number, startTime: number, endTime: number, velocity?: number}>} notes
+ * @param {Array<{down: boolean, time: number}>} [pedalEvents]
+ * @returns {Promise<AudioBuffer>} mono, SYNTH_RENDER_SAMPLE_RATE
+ */
+function renderNotesOffline(notes, pedalEvents) {
+  const end = notes.reduce((max, note) => Math.max(max, note.endTime), 0) + SYNTH_RENDER_TAIL_SECONDS;
+  const offline = new OfflineAudioContext(1, Math.ceil(end * SYNTH_RENDER_SAMPLE_RATE), SYNTH_RENDER_SAMPLE_RATE);
+  const synth = createSynth(offline, offline.destination);
+
+  // The synth tracks voices and the pedal as it goes, so schedule in time
+  // order (note-offs before note-ons at the same time)
+  const order = { off: 0, pedal: 1, on: 2 };
+  const events = [];
+  for (const note of notes) {
+    events.push({ type: 'on', time: note.startTime, note });
+    events.push({ type: 'off', time: note.endTime, note });
+  }
+  for (const ev of pedalEvents || []) events.push({ type: 'pedal', time: ev.time, down: ev.down });
+  events.sort((a, b) => a.time - b.time || order[a.type] - order[b.type]);
+
+  for (const ev of events) {
+    if (ev.type === 'on') synth.noteOn(ev.note.midi, ev.note.velocity, ev.time);
+    else if (ev.type === 'off') synth.noteOff(ev.note.midi, ev.time);
+    else synth.setSustain(ev.down, ev.time);
+  }
+  return offline.startRendering();
+}
+
+/**
+ * Encodes an AudioBuffer as a 16-bit PCM WAV file.
+ * @param {AudioBuffer} buffer
+ * @returns {Uint8Array}
+ */
+function encodeWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const dataBytes = frames * channels * 2;
+  const bytes = new Uint8Array(44 + dataBytes);
+  const view = new DataView(bytes.buffer);
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i++) bytes[offset + i] = tag.charCodeAt(i);
+  };
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);             // fmt chunk length
+  view.setUint16(20, 1, true);              // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * 2, true); // byte rate
+  view.setUint16(32, channels * 2, true);   // block align
+  view.setUint16(34, 16, true);             // bits per sample
+  writeTag(36, 'data');
+  view.setUint32(40, dataBytes, true);
+
+  const channelData = [];
+  for (let c = 0; c < channels; c++) channelData.push(buffer.getChannelData(c));
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += 2;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Triggers a browser download of a WAV file.
+ * @param {Uint8Array} wavData
+ * @param {string} filename
+ */
+function downloadWavFile(wavData, filename) {
+  downloadBlob(new Blob([wavData], { type: 'audio/wav' }), filename);
+}
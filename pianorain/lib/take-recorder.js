@@ -0,0 +1,277 @@
+// lib/take-recorder.js — Record mode: collects live notes into a take
+// While recording, every note-on/note-off (and sustain pedal change) that the
+// render loop consumes is paired into a note with media-time start and end.
+// A take is made of passes: a pass ends whenever playback is interrupted
+// (seek, stop) and is then merged into the take, so replaying a passage
+// fills in what an earlier pass missed instead of duplicating it.
+// Depends on createTranscriptNote() from lib/transcript.js.
+
+// A note of a new pass merges with a take note of the same pitch that
+// overlaps it or starts within this many seconds of it
+const TAKE_MERGE_SECONDS = 0.08;
+
+/**
+ * Indexes take notes by pitch, for findTakeMatch().
+ * @param {Array<object>} takeNotes  - sorted by start time
+ * @returns {Map<number, Array<number>>} midi → indices into takeNotes, in start order
+ */
+function indexTakeNotes(takeNotes) {
+  const index = new Map();
+  takeNotes.forEach((note, i) => {
+    if (!index.has(note.midi)) index.set(note.midi, []);
+    index.get(note.midi).push(i);
+  });
+  return index;
+}
+
+/**
+ * Finds the take note a note of a new pass merges with: one of the same pitch
+ * that overlaps it or starts within TAKE_MERGE_SECONDS of it.
+ * @param {Array<object>} takeNotes  - sorted by start time
+ * @param {Map<number, Array<number>>} index  - from indexTakeNotes(takeNotes)
+ * @param {{midi: number, startTime: number, endTime: number}} note
+ * @returns {number} index into takeNotes, or -1
+ */
+function findTakeMatch(takeNotes, index, note) {
+  const indices = index.get(note.midi);
+  if (!indices) return -1;
+  // Only take notes starting before `until` can match: find the first that
+  // doesn't
+  const until = Math.max(note.endTime, note.startTime + TAKE_MERGE_SECONDS);
+  let lo = 0;
+  let hi = indices.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (takeNotes[indices[mid]].startTime < until) lo = mid + 1;
+    else hi = mid;
+  }
+  // Walk back over the candidates; a take note's same-pitch neighbours don't
+  // overlap it, so only the last one ending before the note can stop the walk
+  for (let k = lo - 1; k >= 0; k--) {
+    const other = takeNotes[indices[k]];
+    if (Math.abs(other.startTime - note.startTime) <= TAKE_MERGE_SECONDS ||
+        (other.startTime < note.endTime && note.startTime < other.endTime)) {
+      return indices[k];
+    }
+    if (other.endTime < note.startTime - TAKE_MERGE_SECONDS) break;
+  }
+  return -1;
+}
+
+/**
+ * Merges a pass into a take: a pass note that matches a take note (see
+ * findTakeMatch) widens it to span both, with the louder velocity; the rest
+ * are added. Notes of the same pass never merge with each other, so fast
+ * repeats (trills, tremolos) stay separate notes.
+ * @param {Array<object>} takeNotes  - transcript notes, sorted by start time
+ * @param {Array<object>} passNotes
+ * @returns {Array<object>} the merged take, sorted by start time
+ */
+function mergeTakeNotes(takeNotes, passNotes) {
+  const index = indexTakeNotes(takeNotes);
+  const merged = takeNotes.map((note) => Object.assign({}, note));
+  for (const note of passNotes) {
+    // Matched against the take as it was, so one pass can't chain through it
+    const i = findTakeMatch(takeNotes, index, note);
+    if (i >= 0) {
+      const match = merged[i];
+      match.startTime = Math.min(match.startTime, note.startTime);
+      match.endTime = Math.max(match.endTime, note.endTime);
+      match.velocity = Math.max(match.velocity, note.velocity);
+      match.confidence = Math.max(match.confidence, note.confidence);
+    } else {
+      merged.push(Object.assign({}, note));
+    }
+  }
+  return merged.sort((a, b) => a.startTime - b.startTime || a.midi - b.midi);
+}
+
+/**
+ * Merges pedal-down regions into a take's regions (union of intervals).
+ * @param {Array<{start: number, end: number}>} regions
+ * @param {Array<{start: number, end: number}>} passRegions
+ * @returns {Array<{start: number, end: number}>} sorted, non-overlapping
+ */
+function mergePedalRegions(regions, passRegions) {
+  const all = regions.concat(passRegions).sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const region of all) {
+    const last = merged[merged.length - 1];
+    if (last && region.start <= last.end) last.end = Math.max(last.end, region.end);
+    else merged.push({ start: region.start, end: region.end });
+  }
+  return merged;
+}
+
+/**
+ * Creates a take recorder.
+ *
+ * record() takes the events the render loop consumed this frame plus the
+ * current media time; interrupt() ends the current pass (call it before a
+ * seek's new position is played). getTake() returns the take in the same
+ * shape as a transcription, so it can go straight to buildMidiFile().
+ *
+ * @returns {{
+ *   start: function(): void,
+ *   stop: function(): void,
+ *   isRecording: function(): boolean,
+ *   record: function(Array<object>, number): void,
+ *   interrupt: function(): void,
+ *   clear: function(): void,
+ *   getTake: function(): {notes: Array<object>, pedalEvents: Array<object>},
+ *   getStatus: function(): {recording: boolean, noteCount: number, duration: number}
+ * }}
+ */
+function createTakeRecorder() {
+  let recording = false;
+  let takeNotes = [];
+  let takePedal = [];
+  // Pitch index and end of the merged take, so the status needn't rebuild it
+  let takeIndex = new Map();
+  let takeDuration = 0;
+  // Current pass: finished notes, sounding notes (midi → note), pedal regions
+  let passNotes = [];
+  let openNotes = new Map();
+  let passPedal = [];
+  let openPedal = null;
+  // Latest media time seen in this pass: where an interrupted pass ends
+  let lastTime = null;
+  // Finished notes of this pass that will add to the take (not merge), and
+  // the latest end of any finished note
+  let passAdded = 0;
+  let passEnd = 0;
+
+  /** Sets the merged take and its summary. */
+  function setTakeNotes(notes) {
+    takeNotes = notes;
+    takeIndex = indexTakeNotes(notes);
+    takeDuration = notes.reduce((max, note) => Math.max(max, note.endTime), 0);
+  }
+
+  /** Ends the current pass's bookkeeping. */
+  function resetPass() {
+    passNotes = [];
+    openNotes = new Map();
+    passPedal = [];
+    openPedal = null;
+    lastTime = null;
+    passAdded = 0;
+    passEnd = 0;
+  }
+
+  /** Ends the current pass at the last media time seen and merges it. */
+  function interrupt() {
+    const end = lastTime;
+    if (end !== null) {
+      for (const note of openNotes.values()) {
+        note.endTime = Math.max(end, note.startTime);
+        passNotes.push(note);
+      }
+      if (openPedal) passPedal.push({ start: openPedal.start, end: Math.max(end, openPedal.start) });
+    }
+    setTakeNotes(mergeTakeNotes(takeNotes, passNotes.filter((note) => note.endTime > note.startTime)));
+    takePedal = mergePedalRegions(takePedal, passPedal.filter((region) => region.end > region.start));
+    resetPass();
+  }
+
+  function start() {
+    recording = true;
+  }
+
+  function stop() {
+    if (recording) interrupt();
+    recording = false;
+  }
+
+  function isRecording() {
+    return recording;
+  }
+
+  /**
+   * @param {Array<{type: string, midi?: number, time: number, velocity?: number, hand?: string, down?: boolean}>} events
+   * @param {number} mediaTime  - current video time (seconds)
+   */
+  function record(events, mediaTime) {
+    if (!recording) return;
+    for (const ev of events) {
+      if (ev.type === 'pedal') {
+        if (ev.down && !openPedal) openPedal = { start: ev.time };
+        else if (!ev.down && openPedal) {
+          passPedal.push({ start: openPedal.start, end: ev.time });
+          openPedal = null;
+        }
+      } else if (ev.type === 'off') {
+        const note = openNotes.get(ev.midi);
+        if (!note) continue;
+        note.endTime = ev.time;
+        passNotes.push(note);
+        openNotes.delete(ev.midi);
+        if (note.endTime > note.startTime) {
+          passEnd = Math.max(passEnd, note.endTime);
+          if (findTakeMatch(takeNotes, takeIndex, note) < 0) passAdded++;
+        }
+      } else if (ev.type === 'on') {
+        openNotes.set(ev.midi, createTranscriptNote({
+          midi: ev.midi,
+          startTime: ev.time,
+          endTime: ev.time,
+          velocity: ev.velocity,
+          confidence: ev.confidence,
+          hand: ev.hand,
+        }));
+      }
+    }
+    lastTime = lastTime === null ? mediaTime : Math.max(lastTime, mediaTime);
+  }
+
+  function clear() {
+    setTakeNotes([]);
+    takePedal = [];
+    resetPass();
+  }
+
+  /**
+   * The take so far, including the current pass (its sounding notes end at
+   * the last media time seen).
+   * @returns {{notes: Array<object>, pedalEvents: Array<{type: string, down: boolean, time: number}>}}
+   */
+  function getTake() {
+    const pending = passNotes.slice();
+    const pendingPedal = passPedal.slice();
+    if (lastTime !== null) {
+      for (const note of openNotes.values()) {
+        pending.push(Object.assign({}, note, { endTime: Math.max(lastTime, note.startTime) }));
+      }
+      if (openPedal) pendingPedal.push({ start: openPedal.start, end: Math.max(lastTime, openPedal.start) });
+    }
+    const notes = mergeTakeNotes(takeNotes, pending.filter((note) => note.endTime > note.startTime));
+    const pedalEvents = [];
+    for (const region of mergePedalRegions(takePedal, pendingPedal)) {
+      if (region.end <= region.start) continue;
+      pedalEvents.push({ type: 'pedal', down: true, time: region.start });
+      pedalEvents.push({ type: 'pedal', down: false, time: region.end });
+    }
+    return { notes, pedalEvents };
+  }
+
+  /**
+   * Summary for the popup, kept up to date as notes end (only the notes still
+   * sounding are matched against the take here).
+   */
+  function getStatus() {
+    let noteCount = takeNotes.length + passAdded;
+    let duration = Math.max(takeDuration, passEnd);
+    if (lastTime !== null) {
+      for (const note of openNotes.values()) {
+        const sounding = { midi: note.midi, startTime: note.startTime, endTime: Math.max(lastTime, note.startTime) };
+        if (sounding.endTime <= sounding.startTime) continue;
+        duration = Math.max(duration, sounding.endTime);
+        if (findTakeMatch(takeNotes, takeIndex, sounding) < 0) noteCount++;
+      }
+    }
+    return { recording, noteCount, duration };
+  }
+
+  return { start, stop, isRecording, record, interrupt, clear, getTake, getStatus };
+}
+
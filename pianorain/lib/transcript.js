@@ -0,0 +1,167 @@
+// lib/transcript.js — PianoRain transcript format (versioned JSON)
+// The one note shape shared by the export pass, record mode, loaded MIDI
+// files and the falling-note blocks, and the JSON document that carries it
+// between PianoRain and other tools.
+//
+// Transcript document, version 1:
+//
+//   {
+//     "format": "pianorain-transcript",
+//     "version": 1,
+//     "generator": "PianoRain 1.0.0",
+//     "createdAt": "2026-01-31T12:00:00.000Z",
+//     "source": "export",            // "export" (offline pass) or "record" (record mode)
+//     "video": {
+//       "id": "dQw4w9WgXcQ",         // YouTube video ID, or null
+//       "title": "…",
+//       "duration": 212.4            // seconds, or null
+//     },
+//     "range": { "start": 30, "end": 60 },  // media seconds covered; note times
+//                                           // are relative to range.start
+//     "detector": {
+//       "backend": "harmonic-sum",
+//       "settings": { "noiseFloor": { "mode": "adaptive", "floorDb": -92 } }
+//     },
+//     "tuning": { "a4": 441.2 },     // concert pitch reference (Hz)
+//     "notes": [
+//       { "midi": 60, "startTime": 0.52, "endTime": 1.1,
+//         "velocity": 84, "confidence": 0.93, "hand": "right" }
+//     ],
+//     "pedalEvents": [ { "down": true, "time": 0.5 }, { "down": false, "time": 2.0 } ]
+//   }
+//
+// Note fields: `midi` an integer 0–127; `startTime` and `endTime` numbers
+// with endTime ≥ startTime; optional `velocity` a number 1–127 (default 80),
+// `confidence` a number 0–1 (default 1) and `hand` "left" or "right"
+// (default "right"). parseTranscript() rejects a document with a note that
+// breaks these rules.
+//
+// Times are seconds. Readers must ignore fields they don't know; a version
+// bump means an incompatible change.
+//
+// Depends on DEFAULT_VELOCITY from lib/note-detector.js, and on downloadBlob()
+// from lib/midi-export.js for downloads.
+
+const TRANSCRIPT_FORMAT = 'pianorain-transcript';
+const TRANSCRIPT_VERSION = 1;
+
+/**
+ * Builds a transcript note, filling in the optional fields.
+ * @param {{midi: number, startTime: number, endTime: number, velocity?: number, confidence?: number, hand?: string}} fields
+ * @returns {{midi: number, startTime: number, endTime: number, velocity: number, confidence: number, hand: string}}
+ */
+function createTranscriptNote(fields) {
+  return {
+    midi: fields.midi,
+    startTime: fields.startTime,
+    endTime: fields.endTime,
+    velocity: typeof fields.velocity === 'number' ? fields.velocity : DEFAULT_VELOCITY,
+    confidence: typeof fields.confidence === 'number' ? fields.confidence : 1,
+    hand: fields.hand === 'left' ? 'left' : 'right',
+  };
+}
+
+/**
+ * Builds a transcript document.
+ * @param {Array<object>} notes  - transcript notes (see createTranscriptNote)
+ * @param {object} [meta]
+ * @param {Array<{down: boolean, time: number}>} [meta.pedalEvents]
+ * @param {string} [meta.source]  - 'export' or 'record'
+ * @param {{id: string|null, title: string, duration: number|null}} [meta.video]
+ * @param {{start: number, end: number}} [meta.range]
+ * @param {{backend: string, settings: object}} [meta.detector]
+ * @param {number} [meta.a4]  - tuning reference (Hz)
+ * @param {string} [meta.generator]
+ * @returns {object}
+ */
+function buildTranscript(notes, meta) {
+  const m = meta || {};
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    generator: m.generator || 'PianoRain',
+    createdAt: new Date().toISOString(),
+    source: m.source || 'export',
+    video: m.video || { id: null, title: '', duration: null },
+    range: m.range || null,
+    detector: m.detector || null,
+    tuning: { a4: typeof m.a4 === 'number' ? Math.round(m.a4 * 10) / 10 : null },
+    notes: notes.map((note) => {
+      const n = createTranscriptNote(note);
+      n.startTime = round(n.startTime);
+      n.endTime = round(n.endTime);
+      // Clamped so every written note passes isValidTranscriptNote()
+      n.velocity = Math.min(127, Math.max(1, Math.round(n.velocity)));
+      n.confidence = Math.round(Math.min(1, Math.max(0, n.confidence)) * 100) / 100;
+      return n;
+    }),
+    pedalEvents: (m.pedalEvents || []).map((ev) => ({ down: !!ev.down, time: round(ev.time) })),
+  };
+}
+
+/**
+ * Checks a note against the schema at the top of this file (optional fields
+ * may be absent, but not of the wrong type or out of range).
+ * @param {*} note
+ * @returns {boolean}
+ */
+function isValidTranscriptNote(note) {
+  if (!note || typeof note !== 'object') return false;
+  if (!Number.isInteger(note.midi) || note.midi < 0 || note.midi > 127) return false;
+  if (!Number.isFinite(note.startTime) || !Number.isFinite(note.endTime)) return false;
+  if (note.endTime < note.startTime) return false;
+  if (note.velocity !== undefined &&
+      !(Number.isFinite(note.velocity) && note.velocity >= 1 && note.velocity <= 127)) return false;
+  if (note.confidence !== undefined &&
+      !(Number.isFinite(note.confidence) && note.confidence >= 0 && note.confidence <= 1)) return false;
+  if (note.hand !== undefined && note.hand !== 'left' && note.hand !== 'right') return false;
+  return true;
+}
+
+/**
+ * Reads a transcript document, checking its format and version and
+ * normalising its notes.
+ * @param {string|object} input  - JSON text or an already parsed object
+ * @returns {object} the transcript, with `notes` sorted by start time and
+ *          `pedalEvents` as `{ type: 'pedal', down, time }` events
+ * @throws {Error} if the input is not a transcript this version can read
+ */
+function parseTranscript(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (e) {
+      throw new Error('Not valid JSON.');
+    }
+  }
+  if (!doc || doc.format !== TRANSCRIPT_FORMAT) throw new Error('Not a PianoRain transcript.');
+  if (!(doc.version >= 1) || doc.version > TRANSCRIPT_VERSION) {
+    throw new Error(`Transcript version ${doc.version} is not supported (this PianoRain reads up to ${TRANSCRIPT_VERSION}).`);
+  }
+  if (!Array.isArray(doc.notes)) throw new Error('Transcript has no notes array.');
+
+  const notes = [];
+  doc.notes.forEach((note, i) => {
+    if (!isValidTranscriptNote(note)) throw new Error(`Transcript note ${i} is invalid.`);
+    notes.push(createTranscriptNote(note));
+  });
+  notes.sort((a, b) => a.startTime - b.startTime || a.midi - b.midi);
+
+  const pedalEvents = (Array.isArray(doc.pedalEvents) ? doc.pedalEvents : [])
+    .filter((ev) => ev && Number.isFinite(ev.time))
+    .map((ev) => ({ type: 'pedal', down: !!ev.down, time: ev.time }))
+    .sort((a, b) => a.time - b.time);
+
+  return Object.assign({}, doc, { notes, pedalEvents });
+}
+
+/**
+ * Triggers a browser download of a transcript as JSON.
+ * @param {object} transcript  - from buildTranscript()
+ * @param {string} filename
+ */
+function downloadTranscript(transcript, filename) {
+  downloadBlob(new Blob([JSON.stringify(transcript, null, 2)], { type: 'application/json' }), filename);
+}
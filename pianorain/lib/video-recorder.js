@@ -0,0 +1,254 @@
+// lib/video-recorder.js — Records the visualization to a WebM video
+// Plays a range of the video at 1× with the live view running and, after
+// every frame the overlay renders, draws the video frame and the overlay
+// canvas into a compositing canvas. Its captureStream() plus the audio tapped
+// from the graph in lib/audio-capture.js is encoded with MediaRecorder.
+// Depends on createRecordingAudioTap() and removeRecordingAudioTap() from
+// lib/audio-capture.js, and on downloadBlob() from lib/midi-export.js.
+
+// Output heights offered in the popup (the width follows the aspect ratio)
+const VIDEO_RECORD_HEIGHTS = [480, 720, 1080];
+const VIDEO_RECORD_DEFAULT_HEIGHT = 720;
+// Frame rate of the captured stream
+const VIDEO_RECORD_FPS = 30;
+// Video bitrate per pixel per frame (about 2.8 Mbit/s at 720p)
+const VIDEO_RECORD_BITS_PER_PIXEL = 0.1;
+const VIDEO_RECORD_AUDIO_BITRATE = 128000;
+// Preferred encodings, best first
+const VIDEO_RECORD_MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+];
+// The overlay container's CSS background, drawn under the canvas so the
+// composite looks like the page
+const VIDEO_RECORD_OVERLAY_BACKGROUND = 'rgba(0, 0, 0, 0.3)';
+
+/**
+ * Rounds a dimension to an even number of pixels (encoders need it).
+ * @param {number} value
+ * @returns {number}
+ */
+function evenPixels(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+/**
+ * Where the overlay sits over the video picture, in output pixels.
+ * The picture is letterboxed inside the <video> element, so the overlay's
+ * page position is taken relative to the picture, not the element.
+ * @param {HTMLVideoElement} video
+ * @param {HTMLCanvasElement} overlayCanvas
+ * @param {number} width  - output width
+ * @param {number} height  - output height
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+function overlayPlacement(video, overlayCanvas, width, height) {
+  const el = video.getBoundingClientRect();
+  const box = overlayCanvas.getBoundingClientRect();
+  const scale = Math.min(el.width / video.videoWidth, el.height / video.videoHeight) || 1;
+  const pictureW = video.videoWidth * scale;
+  const pictureH = video.videoHeight * scale;
+  const left = el.left + (el.width - pictureW) / 2;
+  const top = el.top + (el.height - pictureH) / 2;
+  const sx = width / pictureW;
+  const sy = height / pictureH;
+  return {
+    x: (box.left - left) * sx,
+    y: (box.top - top) * sy,
+    w: box.width * sx,
+    h: box.height * sy,
+  };
+}
+
+/**
+ * Starts recording a range of the video with the overlay.
+ *
+ * The video seeks to the range start and plays at 1× until the range end (or
+ * the end of the video); pausing the video pauses the recording. drawFrame()
+ * must be called after each overlay render. However the recording settles,
+ * the video's position, rate and paused state are restored.
+ *
+ * @param {HTMLVideoElement} video
+ * @param {HTMLCanvasElement} overlayCanvas
+ * @param {object} [options]
+ * @param {{start: number, end: number}} [options.range]  media seconds to
+ *        record; the whole video by default
+ * @param {number} [options.height]  output height in pixels
+ * @param {boolean} [options.overlayOnly]  record the overlay alone instead of
+ *        composited over the video
+ * @param {function(number): void} [options.onProgress]  called with progress 0–1
+ * @param {AbortSignal} [options.signal]  aborting it cancels the recording,
+ *        which then rejects with an AbortError
+ * @returns {{drawFrame: function(): void, finished: Promise<Blob>}}
+ */
+function startVideoRecording(video, overlayCanvas, options) {
+  const opts = options || {};
+  const rangeStart = opts.range ? Math.max(0, opts.range.start) : 0;
+  const rangeEnd = opts.range ? opts.range.end : Infinity;
+  const outHeight = VIDEO_RECORD_HEIGHTS.includes(opts.height) ? opts.height : VIDEO_RECORD_DEFAULT_HEIGHT;
+  const aspect = opts.overlayOnly
+    ? overlayCanvas.width / overlayCanvas.height
+    : (video.videoWidth / video.videoHeight) || 16 / 9;
+
+  const frameCanvas = document.createElement('canvas');
+  frameCanvas.height = evenPixels(outHeight);
+  frameCanvas.width = evenPixels(outHeight * aspect);
+  const frameCtx = frameCanvas.getContext('2d');
+
+  let recorder = null;
+  let audioTap = null;
+  let recording = false;
+  let settled = false;
+  let reportedPercent = -1;
+  let resolveFinished;
+  let rejectFinished;
+  const finished = new Promise((resolve, reject) => {
+    resolveFinished = resolve;
+    rejectFinished = reject;
+  });
+
+  const origTime = video.currentTime;
+  const origRate = video.playbackRate;
+  const origPaused = video.paused;
+
+  function restore() {
+    video.removeEventListener('seeked', startRecording);
+    video.removeEventListener('ended', stop);
+    video.removeEventListener('pause', onPause);
+    video.removeEventListener('play', onPlay);
+    video.removeEventListener('error', onVideoError);
+    if (opts.signal) opts.signal.removeEventListener('abort', onAbort);
+    if (audioTap) removeRecordingAudioTap(audioTap);
+    audioTap = null;
+    video.playbackRate = origRate;
+    if (origPaused) {
+      video.pause();
+    }
+    video.currentTime = origTime;
+  }
+
+  function fail(err) {
+    if (settled) return;
+    settled = true;
+    recording = false;
+    if (recorder && recorder.state !== 'inactive') {
+      recorder.onstop = null;
+      recorder.stop();
+    }
+    restore();
+    rejectFinished(err);
+  }
+
+  /** Ends the recording; `finished` resolves once the encoder flushes. */
+  function stop() {
+    if (settled || !recording) return;
+    recording = false;
+    recorder.stop();
+  }
+
+  function onPause() {
+    if (recording && recorder.state === 'recording') recorder.pause();
+  }
+
+  function onPlay() {
+    if (recording && recorder.state === 'paused') recorder.resume();
+  }
+
+  function onVideoError() {
+    fail(new Error('Video error during recording'));
+  }
+
+  function onAbort() {
+    fail(new DOMException('Recording cancelled', 'AbortError'));
+  }
+
+  function drawFrame() {
+    if (!recording) return;
+    const w = frameCanvas.width;
+    const h = frameCanvas.height;
+    frameCtx.fillStyle = '#000';
+    frameCtx.fillRect(0, 0, w, h);
+    if (opts.overlayOnly) {
+      frameCtx.drawImage(overlayCanvas, 0, 0, w, h);
+    } else {
+      frameCtx.drawImage(video, 0, 0, w, h);
+      const { x, y, w: ow, h: oh } = overlayPlacement(video, overlayCanvas, w, h);
+      frameCtx.fillStyle = VIDEO_RECORD_OVERLAY_BACKGROUND;
+      frameCtx.fillRect(x, y, ow, oh);
+      frameCtx.drawImage(overlayCanvas, x, y, ow, oh);
+    }
+
+    const end = Math.min(rangeEnd, video.duration || Infinity);
+    if (typeof opts.onProgress === 'function' && isFinite(end) && end > rangeStart) {
+      const percent = Math.floor(Math.min((video.currentTime - rangeStart) / (end - rangeStart), 1) * 100);
+      if (percent !== reportedPercent) {
+        reportedPercent = percent;
+        opts.onProgress(percent / 100);
+      }
+    }
+    if (video.currentTime >= end) stop();
+  }
+
+  function startRecording() {
+    // Runs as a 'seeked' listener: anything thrown here must still settle
+    // `finished` and restore the video
+    try {
+      const stream = frameCanvas.captureStream(VIDEO_RECORD_FPS);
+      audioTap = createRecordingAudioTap();
+      if (audioTap) {
+        for (const track of audioTap.stream.getAudioTracks()) stream.addTrack(track);
+      }
+      const mimeType = VIDEO_RECORD_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+      recorder = new MediaRecorder(stream, {
+        mimeType,
+        videoBitsPerSecond: Math.round(frameCanvas.width * frameCanvas.height * VIDEO_RECORD_FPS * VIDEO_RECORD_BITS_PER_PIXEL),
+        audioBitsPerSecond: VIDEO_RECORD_AUDIO_BITRATE,
+      });
+      const chunks = [];
+      recorder.ondataavailable = (e) => {
+        if (e.data && e.data.size > 0) chunks.push(e.data);
+      };
+      recorder.onstop = () => {
+        if (settled) return;
+        settled = true;
+        restore();
+        resolveFinished(new Blob(chunks, { type: 'video/webm' }));
+      };
+      recorder.onerror = (e) => fail(e.error || new Error('Recording failed'));
+      // Collect data every second so a long recording isn't one huge buffer
+      recorder.start(1000);
+      recording = true;
+      video.play().catch((e) => fail(e));
+    } catch (e) {
+      fail(e);
+    }
+  }
+
+  if (opts.signal && opts.signal.aborted) {
+    settled = true;
+    rejectFinished(new DOMException('Recording cancelled', 'AbortError'));
+    return { drawFrame, finished };
+  }
+
+  video.pause();
+  video.playbackRate = 1;
+  video.addEventListener('seeked', startRecording, { once: true });
+  video.addEventListener('ended', stop);
+  video.addEventListener('pause', onPause);
+  video.addEventListener('play', onPlay);
+  video.addEventListener('error', onVideoError, { once: true });
+  if (opts.signal) opts.signal.addEventListener('abort', onAbort);
+  video.currentTime = rangeStart;
+
+  return { drawFrame, finished };
+}
+
+/**
+ * Triggers a browser download of a recorded video.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadVideoFile(blob, filename) {
+  downloadBlob(blob, filename);
+}
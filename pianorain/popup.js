@@ -2,13 +2,61 @@
 
 const toggleBtn = document.getElementById('toggle-btn');
 const statusBadge = document.getElementById('status-indicator');
-const colorPicker = document.getElementById('note-color');
+const leftColorPicker = document.getElementById('left-hand-color');
+const rightColorPicker = document.getElementById('right-hand-color');
 const errorMsg = document.getElementById('error-message');
 const exportBtn = document.getElementById('export-midi-btn');
+const exportXmlBtn = document.getElementById('export-xml-btn');
+const exportJsonBtn = document.getElementById('export-json-btn');
+const exportWavBtn = document.getElementById('export-wav-btn');
+const recordVideoBtn = document.getElementById('record-video-btn');
+const videoContentSelect = document.getElementById('video-content-select');
+const videoHeightSelect = document.getElementById('video-height-select');
 const exportRow = document.getElementById('export-row');
 const exportProgress = document.getElementById('export-progress');
 const progressFill = document.getElementById('progress-fill');
 const progressText = document.getElementById('progress-text');
+const infoRows = document.getElementById('info-rows');
+const tuningValue = document.getElementById('tuning-value');
+const detectorValue = document.getElementById('detector-value');
+const detectorSelect = document.getElementById('detector-select');
+const noiseValue = document.getElementById('noise-value');
+const calibrateBtn = document.getElementById('calibrate-btn');
+const quantizeSelect = document.getElementById('quantize-select');
+const quantizeStrength = document.getElementById('quantize-strength');
+const quantizeStrengthValue = document.getElementById('quantize-strength-value');
+const cancelExportBtn = document.getElementById('cancel-export-btn');
+const exportRangeSelect = document.getElementById('export-range');
+const abRow = document.getElementById('ab-row');
+const abValue = document.getElementById('ab-value');
+const markABtn = document.getElementById('mark-a-btn');
+const markBBtn = document.getElementById('mark-b-btn');
+const secondsRow = document.getElementById('seconds-row');
+const exportSecondsInput = document.getElementById('export-seconds');
+const splitPointSelect = document.getElementById('split-point-select');
+const midiFileValue = document.getElementById('midi-file-value');
+const loadMidiBtn = document.getElementById('load-midi-btn');
+const clearMidiBtn = document.getElementById('clear-midi-btn');
+const midiFileInput = document.getElementById('midi-file-input');
+const midiFileRows = document.getElementById('midi-file-rows');
+const fileDisplaySelect = document.getElementById('file-display-select');
+const fileOffsetInput = document.getElementById('file-offset');
+const fileColorPicker = document.getElementById('file-note-color');
+const colorThemeSelect = document.getElementById('color-theme-select');
+const colorSchemeSelect = document.getElementById('color-scheme-select');
+const colorPreview = document.getElementById('color-preview');
+const noteLabelsSelect = document.getElementById('note-labels-select');
+const octaveMarkersCheckbox = document.getElementById('octave-markers');
+const takeValue = document.getElementById('take-value');
+const recordBtn = document.getElementById('record-btn');
+const takeRow = document.getElementById('take-row');
+const takeMidiBtn = document.getElementById('take-midi-btn');
+const takeJsonBtn = document.getElementById('take-json-btn');
+const takeWavBtn = document.getElementById('take-wav-btn');
+const synthSelect = document.getElementById('synth-select');
+const lookaheadSelect = document.getElementById('lookahead-select');
+const analyseBtn = document.getElementById('analyse-btn');
+const takeClearBtn = document.getElementById('take-clear-btn');
 
 let isActive = false;
 
@@ -21,9 +69,8 @@ function setStatus(state, message) {
       toggleBtn.className = 'btn btn-deactivate';
       errorMsg.style.display = 'none';
       exportRow.style.display = 'block';
-      exportBtn.disabled = false;
-      exportBtn.textContent = 'Export MIDI';
-      exportProgress.style.display = 'none';
+      resetExportButtons();
+      infoRows.style.display = 'block';
       break;
     case 'inactive':
       statusBadge.textContent = 'Inactive';
@@ -31,12 +78,14 @@ function setStatus(state, message) {
       toggleBtn.className = 'btn btn-activate';
       errorMsg.style.display = 'none';
       exportRow.style.display = 'none';
+      infoRows.style.display = 'none';
       break;
     case 'error':
       statusBadge.textContent = 'Error';
       toggleBtn.textContent = 'Retry';
       toggleBtn.className = 'btn btn-activate';
       exportRow.style.display = 'none';
+      infoRows.style.display = 'none';
       if (message) {
         errorMsg.textContent = message;
         errorMsg.style.display = 'block';
@@ -45,17 +94,247 @@ function setStatus(state, message) {
     case 'exporting':
       statusBadge.textContent = 'Exporting';
       exportBtn.disabled = true;
-      exportBtn.textContent = 'Exporting...';
+      exportXmlBtn.disabled = true;
+      exportJsonBtn.disabled = true;
+      exportWavBtn.disabled = true;
+      recordVideoBtn.disabled = true;
+      analyseBtn.disabled = true;
       exportProgress.style.display = 'flex';
+      cancelExportBtn.style.display = 'block';
+      cancelExportBtn.disabled = false;
       break;
   }
 }
 
+function resetExportButtons() {
+  exportBtn.disabled = false;
+  exportBtn.textContent = 'Export MIDI';
+  exportXmlBtn.disabled = false;
+  exportXmlBtn.textContent = 'Export MusicXML';
+  exportJsonBtn.disabled = false;
+  exportJsonBtn.textContent = 'Export JSON';
+  exportWavBtn.disabled = false;
+  exportWavBtn.textContent = 'Export WAV';
+  recordVideoBtn.disabled = false;
+  recordVideoBtn.textContent = 'Record video';
+  analyseBtn.disabled = false;
+  analyseBtn.textContent = 'Analyse';
+  exportProgress.style.display = 'none';
+  cancelExportBtn.style.display = 'none';
+}
+
+function setTuning(a4) {
+  tuningValue.textContent = `A4 = ${a4.toFixed(1)} Hz`;
+}
+
+function setNoiseFloor(noise) {
+  const labels = {
+    fixed: 'Fixed gate',
+    adaptive: 'adaptive',
+    calibrated: 'calibrated',
+    calibrating: 'Calibrating…',
+  };
+  if (noise.mode === 'calibrating' || noise.floorDb === null) {
+    noiseValue.textContent = labels[noise.mode] || labels.fixed;
+  } else {
+    noiseValue.textContent = `${Math.round(noise.floorDb)} dB · ${labels[noise.mode]}`;
+  }
+  calibrateBtn.disabled = noise.mode === 'calibrating';
+}
+
+function setDetector(detector) {
+  detectorValue.textContent = detector.message;
+  detectorValue.className = `info-value ${detector.state}`;
+  if (detector.backend) detectorSelect.value = detector.backend;
+}
+
+function setBackends(backends) {
+  const selected = detectorSelect.value;
+  detectorSelect.textContent = '';
+  for (const backend of backends) {
+    const option = document.createElement('option');
+    option.value = backend.id;
+    const unavailable = backend.state === 'unavailable' ? ' — unavailable' : '';
+    option.textContent = `${backend.label}${unavailable}`;
+    option.title = `${backend.polyphonic ? 'Polyphonic' : 'Monophonic'}, ` +
+      `+${backend.latencyMs} ms latency`;
+    detectorSelect.appendChild(option);
+  }
+  if (selected) detectorSelect.value = selected;
+}
+
+// Fetch live analysis state (tuning estimate, detector backends) from the page
+function refreshState() {
+  chrome.runtime.sendMessage({ target: 'content', type: 'getState' }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) return;
+    if (typeof response.a4 === 'number') setTuning(response.a4);
+    if (response.backends) setBackends(response.backends);
+    if (response.detector) setDetector(response.detector);
+    if (response.noise) setNoiseFloor(response.noise);
+    if (response.marks) setExportMarks(response.marks);
+    if (response.exporting) setStatus('exporting');
+    setMidiFile(response.file || null);
+    if (response.take) setTake(response.take);
+  });
+}
+
+function setQuantizeStrength(percent) {
+  quantizeStrength.value = percent;
+  quantizeStrengthValue.textContent = `${percent}%`;
+  quantizeStrength.disabled = quantizeSelect.value === 'off';
+}
+
+function getQuantize() {
+  return { grid: quantizeSelect.value, strength: Number(quantizeStrength.value) / 100 };
+}
+
+function formatTime(seconds) {
+  if (typeof seconds !== 'number') return '–:––';
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function setExportMarks(marks) {
+  abValue.textContent = `A ${formatTime(marks.a)} · B ${formatTime(marks.b)}`;
+}
+
+// Show the inputs the chosen export range needs
+function setExportRangeMode(mode) {
+  exportRangeSelect.value = mode;
+  abRow.style.display = mode === 'ab' ? 'flex' : 'none';
+  secondsRow.style.display = mode === 'from-now' ? 'flex' : 'none';
+}
+
+function getExportRange() {
+  return { mode: exportRangeSelect.value, seconds: Number(exportSecondsInput.value) };
+}
+
+// MIDI note below which MusicXML puts notes on the bass staff, or null to
+// follow the detected hands
+function getSplitPoint() {
+  return splitPointSelect.value === 'auto' ? null : Number(splitPointSelect.value);
+}
+
+// Show the loaded MIDI file (or none) and its alignment controls
+function setMidiFile(file) {
+  midiFileValue.textContent = file ? `${file.name} · ${file.noteCount} notes` : 'None';
+  midiFileValue.title = file ? file.name : '';
+  clearMidiBtn.style.display = file ? 'inline-block' : 'none';
+  midiFileRows.style.display = file ? 'block' : 'none';
+  if (file) {
+    fileOffsetInput.value = file.offset;
+    fileDisplaySelect.value = file.display;
+  }
+}
+
+// Show the recorded take and whether recording is on
+function setTake(take) {
+  takeValue.textContent = take.noteCount > 0
+    ? `${take.noteCount} notes · ${formatTime(take.duration)}`
+    : 'Empty';
+  recordBtn.textContent = take.recording ? 'Stop' : 'Record';
+  recordBtn.classList.toggle('recording', take.recording);
+  takeRow.style.display = take.noteCount > 0 ? 'flex' : 'none';
+}
+
+function getHandColors() {
+  return { left: leftColorPicker.value, right: rightColorPicker.value };
+}
+
+// Sample notes for the colour preview: a left-hand fifth under a right-hand
+// phrase, with a spread of velocities and confidences
+const PREVIEW_NOTES = [
+  { midi: 36, hand: 'left', start: 0.05, end: 0.9, velocity: 50, confidence: 0.9 },
+  { midi: 43, hand: 'left', start: 0.05, end: 0.9, velocity: 40, confidence: 0.6 },
+  { midi: 64, hand: 'right', start: 0.1, end: 0.35, velocity: 70, confidence: 1 },
+  { midi: 67, hand: 'right', start: 0.35, end: 0.55, velocity: 90, confidence: 0.8 },
+  { midi: 72, hand: 'right', start: 0.55, end: 0.8, velocity: 120, confidence: 0.95 },
+  { midi: 71, hand: 'right', start: 0.8, end: 0.95, velocity: 100, confidence: 0.35 },
+  { midi: 74, hand: 'right', start: 0.6, end: 0.95, velocity: 25, confidence: 0.5 },
+  { midi: 84, hand: 'right', start: 0.2, end: 0.4, velocity: 60, confidence: 0.7 },
+];
+const PREVIEW_MIDI_MIN = 33;
+const PREVIEW_MIDI_MAX = 88;
+
+// Draws the sample notes falling onto a keyboard line, in the chosen theme
+// and scheme (the same colour code the overlay uses)
+function drawColorPreview() {
+  const pctx = colorPreview.getContext('2d');
+  const w = colorPreview.width;
+  const h = colorPreview.height;
+  const theme = getColorTheme(colorThemeSelect.value);
+  const colors = Object.assign(getHandColors(), { scheme: colorSchemeSelect.value });
+  const keyboardY = h - 8;
+  const keyW = w / (PREVIEW_MIDI_MAX - PREVIEW_MIDI_MIN + 1);
+
+  pctx.clearRect(0, 0, w, h);
+  if (theme.background) {
+    pctx.fillStyle = theme.background;
+    pctx.fillRect(0, 0, w, h);
+  }
+  for (const note of PREVIEW_NOTES) {
+    const color = colorForScheme(note, colors);
+    const alpha = 0.35 + 0.6 * (note.velocity / 127);
+    pctx.globalAlpha = alpha;
+    pctx.shadowColor = color;
+    pctx.shadowBlur = theme.glow ? 8 * alpha : 0;
+    pctx.fillStyle = color;
+    const x = (note.midi - PREVIEW_MIDI_MIN) * keyW;
+    pctx.fillRect(x, (1 - note.end) * keyboardY, Math.max(2, keyW * 1.6), (note.end - note.start) * keyboardY);
+  }
+  pctx.globalAlpha = 1;
+  pctx.shadowBlur = 0;
+  pctx.fillStyle = '#f0f0f0';
+  pctx.fillRect(0, keyboardY, w, h - keyboardY);
+}
+
+function setColorOptions() {
+  for (const [id, theme] of Object.entries(COLOR_THEMES)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = theme.name;
+    colorThemeSelect.appendChild(option);
+  }
+  for (const scheme of COLOR_SCHEMES) {
+    const option = document.createElement('option');
+    option.value = scheme.id;
+    option.textContent = scheme.name;
+    colorSchemeSelect.appendChild(option);
+  }
+}
+setColorOptions();
+
 // Load stored preferences
-chrome.storage.local.get(['active', 'noteColor'], (prefs) => {
+const PREF_KEYS = [
+  'active', 'leftHandColor', 'rightHandColor', 'quantizeGrid', 'quantizeStrength',
+  'exportRange', 'exportSeconds', 'xmlSplitPoint', 'fileDisplay', 'fileNoteColor',
+  'synthMode', 'videoContent', 'videoHeight', 'lookahead', 'colorScheme', 'colorTheme',
+  'noteLabels', 'octaveMarkers',
+];
+chrome.storage.local.get(PREF_KEYS, (prefs) => {
   isActive = !!prefs.active;
-  if (prefs.noteColor) colorPicker.value = prefs.noteColor;
+  if (prefs.leftHandColor) leftColorPicker.value = prefs.leftHandColor;
+  if (prefs.rightHandColor) rightColorPicker.value = prefs.rightHandColor;
+  if (prefs.quantizeGrid) quantizeSelect.value = prefs.quantizeGrid;
+  setQuantizeStrength(typeof prefs.quantizeStrength === 'number' ? prefs.quantizeStrength : 100);
+  if (prefs.exportSeconds) exportSecondsInput.value = prefs.exportSeconds;
+  setExportRangeMode(prefs.exportRange || 'whole');
+  if (prefs.xmlSplitPoint) splitPointSelect.value = prefs.xmlSplitPoint;
+  if (prefs.fileDisplay) fileDisplaySelect.value = prefs.fileDisplay;
+  if (prefs.fileNoteColor) fileColorPicker.value = prefs.fileNoteColor;
+  if (prefs.colorTheme) colorThemeSelect.value = prefs.colorTheme;
+  if (prefs.colorScheme) colorSchemeSelect.value = prefs.colorScheme;
+  if (prefs.noteLabels) noteLabelsSelect.value = prefs.noteLabels;
+  octaveMarkersCheckbox.checked = !!prefs.octaveMarkers;
+  drawColorPreview();
+  if (prefs.synthMode) synthSelect.value = prefs.synthMode;
+  lookaheadSelect.value = prefs.lookahead ? 'on' : 'off';
+  if (prefs.videoContent) videoContentSelect.value = prefs.videoContent;
+  if (prefs.videoHeight) videoHeightSelect.value = String(prefs.videoHeight);
   setStatus(isActive ? 'active' : 'inactive');
+
+  if (isActive) refreshState();
 });
 
 // Listen for status updates from content script (via background)
@@ -66,6 +345,19 @@ chrome.runtime.onMessage.addListener((message) => {
       if (message.state === 'active') isActive = true;
       if (message.state === 'inactive' || message.state === 'error') isActive = false;
     }
+    if (message.type === 'tuning') {
+      setTuning(message.a4);
+    }
+    if (message.type === 'noiseFloor') {
+      setNoiseFloor(message.noise);
+    }
+    if (message.type === 'detector') {
+      if (message.backends) setBackends(message.backends);
+      setDetector(message.detector);
+    }
+    if (message.type === 'take') {
+      setTake(message.take);
+    }
     if (message.type === 'exportProgress') {
       const pct = Math.round(message.progress * 100);
       progressFill.style.width = pct + '%';
@@ -83,7 +375,7 @@ toggleBtn.addEventListener('click', () => {
     {
       target: 'content',
       type: newActive ? 'activate' : 'deactivate',
-      noteColor: colorPicker.value,
+      handColors: getHandColors(),
     },
     (response) => {
       if (chrome.runtime.lastError || (response && response.error)) {
@@ -94,42 +386,324 @@ toggleBtn.addEventListener('click', () => {
       } else {
         isActive = newActive;
         setStatus(newActive ? 'active' : 'inactive');
+        if (newActive) refreshState();
       }
     }
   );
 });
 
-// Color picker change
-colorPicker.addEventListener('input', () => {
-  const color = colorPicker.value;
-  chrome.storage.local.set({ noteColor: color });
+// Color picker changes
+function onHandColorInput() {
+  const handColors = getHandColors();
+  chrome.storage.local.set({ leftHandColor: handColors.left, rightHandColor: handColors.right });
 
   if (isActive) {
     chrome.runtime.sendMessage({
       target: 'content',
       type: 'updateColor',
-      noteColor: color,
+      handColors,
     });
   }
+  drawColorPreview();
+}
+
+leftColorPicker.addEventListener('input', onHandColorInput);
+rightColorPicker.addEventListener('input', onHandColorInput);
+
+function sendColorScheme() {
+  chrome.storage.local.set({ colorScheme: colorSchemeSelect.value, colorTheme: colorThemeSelect.value });
+  if (isActive) {
+    chrome.runtime.sendMessage({
+      target: 'content',
+      type: 'setColorScheme',
+      scheme: colorSchemeSelect.value,
+      theme: colorThemeSelect.value,
+    });
+  }
+  drawColorPreview();
+}
+
+// A theme sets the colour pickers too; they can still be changed afterwards
+colorThemeSelect.addEventListener('change', () => {
+  const theme = getColorTheme(colorThemeSelect.value);
+  leftColorPicker.value = theme.left;
+  rightColorPicker.value = theme.right;
+  fileColorPicker.value = theme.file;
+  onHandColorInput();
+  onFileDisplayChange();
+  sendColorScheme();
 });
 
-// Export MIDI button
-exportBtn.addEventListener('click', () => {
+colorSchemeSelect.addEventListener('change', sendColorScheme);
+
+// Note labels on blocks and lit keys
+function onNoteLabelsChange() {
+  const mode = noteLabelsSelect.value;
+  const octaveMarkers = octaveMarkersCheckbox.checked;
+  chrome.storage.local.set({ noteLabels: mode, octaveMarkers });
+  if (isActive) {
+    chrome.runtime.sendMessage({ target: 'content', type: 'setNoteLabels', mode, octaveMarkers });
+  }
+}
+
+noteLabelsSelect.addEventListener('change', onNoteLabelsChange);
+octaveMarkersCheckbox.addEventListener('change', onNoteLabelsChange);
+
+// Detector backend choice
+detectorSelect.addEventListener('change', () => {
+  const backend = detectorSelect.value;
+  chrome.storage.local.set({ detectorBackend: backend });
+
+  if (isActive) {
+    chrome.runtime.sendMessage({ target: 'content', type: 'setDetector', backend }, (response) => {
+      if (chrome.runtime.lastError || (response && response.error)) {
+        errorMsg.textContent = (response && response.error) || chrome.runtime.lastError?.message;
+        errorMsg.style.display = 'block';
+      }
+    });
+  }
+});
+
+// Noise floor calibration: measures the next 3 s of (silent) playback
+calibrateBtn.addEventListener('click', () => {
+  setNoiseFloor({ floorDb: null, mode: 'calibrating' });
+  errorMsg.style.display = 'none';
+
+  chrome.runtime.sendMessage({ target: 'content', type: 'calibrateNoise' }, (response) => {
+    if (chrome.runtime.lastError || (response && response.error)) {
+      errorMsg.textContent = (response && response.error) || chrome.runtime.lastError?.message;
+      errorMsg.style.display = 'block';
+      calibrateBtn.disabled = false;
+      refreshState();
+      return;
+    }
+    if (response && response.noise) setNoiseFloor(response.noise);
+  });
+});
+
+// Quantisation settings for MIDI and MusicXML export
+quantizeSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ quantizeGrid: quantizeSelect.value });
+  setQuantizeStrength(Number(quantizeStrength.value));
+});
+
+quantizeStrength.addEventListener('input', () => {
+  const percent = Number(quantizeStrength.value);
+  chrome.storage.local.set({ quantizeStrength: percent });
+  setQuantizeStrength(percent);
+});
+
+// Export range: whole video, marked A–B selection, or N seconds from now
+exportRangeSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ exportRange: exportRangeSelect.value });
+  setExportRangeMode(exportRangeSelect.value);
+});
+
+exportSecondsInput.addEventListener('change', () => {
+  const seconds = Math.max(1, Math.round(Number(exportSecondsInput.value) || 30));
+  exportSecondsInput.value = seconds;
+  chrome.storage.local.set({ exportSeconds: seconds });
+});
+
+function onMarkClick(point) {
+  chrome.runtime.sendMessage({ target: 'content', type: 'setExportMark', point }, (response) => {
+    if (chrome.runtime.lastError || (response && response.error)) {
+      errorMsg.textContent = (response && response.error) || chrome.runtime.lastError?.message;
+      errorMsg.style.display = 'block';
+      return;
+    }
+    if (response && response.marks) setExportMarks(response.marks);
+  });
+}
+
+markABtn.addEventListener('click', () => onMarkClick('a'));
+markBBtn.addEventListener('click', () => onMarkClick('b'));
+
+splitPointSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ xmlSplitPoint: splitPointSelect.value });
+});
+
+/**
+ * Asks the page to export and shows progress until it finishes.
+ * @param {HTMLButtonElement} button  the button clicked
+ * @param {object} request  the export message for the content script
+ * @param {function(object): void} [onDone]  called with a successful response
+ */
+function startExport(button, request, onDone) {
   setStatus('exporting');
+  button.textContent = 'Exporting...';
   progressFill.style.width = '0%';
   progressText.textContent = '0%';
 
   chrome.runtime.sendMessage(
-    { target: 'content', type: 'exportMidi' },
+    { target: 'content', quantize: getQuantize(), range: getExportRange(), ...request },
     (response) => {
-      exportBtn.disabled = false;
-      exportBtn.textContent = 'Export MIDI';
-      exportProgress.style.display = 'none';
+      resetExportButtons();
       if (chrome.runtime.lastError || (response && response.error)) {
         const errText = (response && response.error) || chrome.runtime.lastError?.message;
         errorMsg.textContent = errText;
         errorMsg.style.display = 'block';
+      } else if (response && response.ok && onDone) {
+        onDone(response);
       }
     }
   );
+}
+
+// Export buttons
+exportBtn.addEventListener('click', () => {
+  startExport(exportBtn, { type: 'exportMidi' });
+});
+
+exportXmlBtn.addEventListener('click', () => {
+  startExport(exportXmlBtn, { type: 'exportMusicXml', splitPoint: getSplitPoint() });
+});
+
+exportJsonBtn.addEventListener('click', () => {
+  startExport(exportJsonBtn, { type: 'exportJson' });
+});
+
+exportWavBtn.addEventListener('click', () => {
+  startExport(exportWavBtn, { type: 'exportWav' });
+});
+
+// Recording plays the range at normal speed, so it takes as long as the range
+recordVideoBtn.addEventListener('click', () => {
+  startExport(recordVideoBtn, {
+    type: 'recordVideo',
+    height: Number(videoHeightSelect.value),
+    overlayOnly: videoContentSelect.value === 'overlay',
+  });
+});
+
+videoContentSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ videoContent: videoContentSelect.value });
+});
+
+videoHeightSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ videoHeight: Number(videoHeightSelect.value) });
+});
+
+// Record mode: the page collects detected notes into a take while it plays
+function sendTakeMessage(message) {
+  chrome.runtime.sendMessage(Object.assign({ target: 'content' }, message), (response) => {
+    if (chrome.runtime.lastError || (response && response.error)) {
+      errorMsg.textContent = (response && response.error) || chrome.runtime.lastError?.message;
+      errorMsg.style.display = 'block';
+      return;
+    }
+    if (response && response.take) setTake(response.take);
+  });
+}
+
+recordBtn.addEventListener('click', () => {
+  errorMsg.style.display = 'none';
+  sendTakeMessage({ type: 'setRecording', recording: !recordBtn.classList.contains('recording') });
+});
+
+takeMidiBtn.addEventListener('click', () => {
+  sendTakeMessage({ type: 'downloadTake', format: 'midi', quantize: getQuantize() });
+});
+
+takeJsonBtn.addEventListener('click', () => {
+  sendTakeMessage({ type: 'downloadTake', format: 'json' });
+});
+
+takeWavBtn.addEventListener('click', () => {
+  sendTakeMessage({ type: 'downloadTake', format: 'wav' });
+});
+
+takeClearBtn.addEventListener('click', () => {
+  sendTakeMessage({ type: 'clearTake' });
+});
+
+// MIDI file or transcript: read in the popup and handed to the page, which
+// plays it as falling notes in step with the video
+loadMidiBtn.addEventListener('click', () => midiFileInput.click());
+
+midiFileInput.addEventListener('change', () => {
+  const file = midiFileInput.files[0];
+  midiFileInput.value = '';
+  if (!file) return;
+  errorMsg.style.display = 'none';
+
+  const isTranscript = /\.json$/i.test(file.name);
+  const read = isTranscript
+    ? file.text().then((text) => ({ kind: 'transcript', text }))
+    : file.arrayBuffer().then((buffer) => ({ kind: 'midi', data: Array.from(new Uint8Array(buffer)) }));
+
+  read.then((contents) => {
+    chrome.runtime.sendMessage(Object.assign({
+      target: 'content',
+      type: 'loadFile',
+      name: file.name,
+      display: fileDisplaySelect.value,
+      color: fileColorPicker.value,
+    }, contents), (response) => {
+      if (chrome.runtime.lastError || (response && response.error)) {
+        errorMsg.textContent = (response && response.error) || chrome.runtime.lastError?.message;
+        errorMsg.style.display = 'block';
+        return;
+      }
+      setMidiFile(response.file);
+    });
+  });
+});
+
+clearMidiBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ target: 'content', type: 'clearMidiFile' }, () => {
+    setMidiFile(null);
+  });
+});
+
+fileOffsetInput.addEventListener('change', () => {
+  const offset = Math.round((Number(fileOffsetInput.value) || 0) * 100) / 100;
+  fileOffsetInput.value = offset;
+  chrome.runtime.sendMessage({ target: 'content', type: 'setFileOffset', offset });
+});
+
+function onFileDisplayChange() {
+  chrome.storage.local.set({ fileDisplay: fileDisplaySelect.value, fileNoteColor: fileColorPicker.value });
+
+  if (isActive) {
+    chrome.runtime.sendMessage({
+      target: 'content',
+      type: 'setFileDisplay',
+      display: fileDisplaySelect.value,
+      color: fileColorPicker.value,
+    });
+  }
+}
+
+fileDisplaySelect.addEventListener('change', onFileDisplayChange);
+fileColorPicker.addEventListener('input', onFileDisplayChange);
+
+// Lookahead: the notes of a loaded file (or the analysed video) fall ahead
+// of the audio; live detection can't, so analysing gives it something to show
+lookaheadSelect.addEventListener('change', () => {
+  const enabled = lookaheadSelect.value === 'on';
+  chrome.storage.local.set({ lookahead: enabled });
+  if (isActive) {
+    chrome.runtime.sendMessage({ target: 'content', type: 'setLookahead', enabled });
+  }
+});
+
+analyseBtn.addEventListener('click', () => {
+  errorMsg.style.display = 'none';
+  startExport(analyseBtn, { type: 'analyseVideo' }, (response) => setMidiFile(response.file));
+});
+
+// Synth: plays the transcription live, crossfaded with (or instead of) the
+// video's audio; the crossfader itself lives in the overlay
+synthSelect.addEventListener('change', () => {
+  chrome.storage.local.set({ synthMode: synthSelect.value });
+  if (isActive) {
+    chrome.runtime.sendMessage({ target: 'content', type: 'setSynth', mode: synthSelect.value });
+  }
+});
+
+// Cancel a running export (the page restores the video's playback state)
+cancelExportBtn.addEventListener('click', () => {
+  cancelExportBtn.disabled = true;
+  chrome.runtime.sendMessage({ target: 'content', type: 'cancelExport' });
 });